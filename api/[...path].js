@@ -0,0 +1,9 @@
+// Vercel 서버리스 함수 - 로컬 프록시 서버와 같은 처리기 사용
+// 서비스 키는 Vercel 환경변수 KMA_API_KEY로 설정
+import { createProxyFromEnv } from '../server/proxy.js';
+
+const proxy = createProxyFromEnv();
+
+export default function handler(req, res) {
+    return proxy.handle(req, res);
+}
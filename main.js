@@ -1,41 +1,316 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
+import { Sky } from 'three/examples/jsm/objects/Sky';
 import * as tf from '@tensorflow/tfjs';
+import {
+    MODEL_SCHEMA_VERSION,
+    SEQUENCE_LENGTH,
+    FORECAST_HORIZONS,
+    FEATURES,
+    DEFAULT_FEATURES,
+    UPSTREAM_DISTANCE_KM,
+    upstreamOffset,
+    interpolateRainfall,
+    computeNormalization,
+    normalizeRecord,
+    buildTrainingWindows,
+    scaleLabels,
+    buildRainfallModel,
+    compileRainfallModel,
+    outputToQuantiles,
+    summarizeQuantiles
+} from './predictor/rainfallModel.js';
+import { ALERT_THRESHOLDS, scorePredictions, verifyForecasts } from './predictor/verification.js';
+
+// =====================================
+// 누적 강수량 계산 (매시 RN1 관측 누적, 새로고침 후에도 유지)
+// =====================================
+class RainfallAccumulator {
+    constructor({ storageKey = 'rainfall-observations', persist = true } = {}) {
+        this.storageKey = storageKey;
+        this.persist = persist;
+        this.observations = [];   // { time: 관측 정시 (ms), rainfall: 1시간 강수량 (mm) }
+        this.retentionHours = 168; // 최근 7일 보관
+        this.eventGapHours = 6;    // 6시간 이상 무강수면 강수 사상 종료
+        this.windows = [1, 3, 6, 12, 24];
+        
+        this.restore();
+    }
+    
+    // 매시 관측 추가 (같은 정시는 최신 값으로 교체)
+    addObservation(time, rainfall) {
+        const hour = new Date(time);
+        hour.setMinutes(0, 0, 0);
+        const key = hour.getTime();
+        
+        const existing = this.observations.find(o => o.time === key);
+        if (existing) {
+            existing.rainfall = rainfall;
+        } else {
+            this.observations.push({ time: key, rainfall });
+            this.observations.sort((a, b) => a.time - b.time);
+        }
+        
+        // 보관 기간 지난 관측 제거
+        const cutoff = this.latestTime() - this.retentionHours * 3600000;
+        this.observations = this.observations.filter(o => o.time > cutoff);
+        
+        this.save();
+    }
+    
+    latestTime() {
+        return this.observations.length > 0 ? this.observations[this.observations.length - 1].time : 0;
+    }
+    
+    // 최근 N시간 누적 (가장 최근 관측 정시 기준)
+    sum(hours) {
+        const from = this.latestTime() - hours * 3600000;
+        return this.observations
+            .filter(o => o.time > from)
+            .reduce((total, o) => total + o.rainfall, 0);
+    }
+    
+    // 현재 강수 사상 시작 시각과 누적량
+    // 무강수 또는 관측 공백이 eventGapHours 이상 이어지면 사상 구분
+    getEvent() {
+        let total = 0;
+        let start = null;
+        let dryHours = 0;
+        
+        for (let i = this.observations.length - 1; i >= 0; i--) {
+            const o = this.observations[i];
+            const next = this.observations[i + 1];
+            
+            if (next) {
+                const missingHours = (next.time - o.time) / 3600000 - 1;
+                dryHours += missingHours;
+            }
+            if (dryHours >= this.eventGapHours) break;
+            
+            if (o.rainfall > 0) {
+                total += o.rainfall;
+                start = o.time;
+                dryHours = 0;
+            } else {
+                dryHours++;
+            }
+        }
+        
+        return { total, start: start !== null ? new Date(start - 3600000) : null };
+    }
+    
+    // 1/3/6/12/24시간 및 사상 누적
+    getAccumulation() {
+        const accumulation = {};
+        this.windows.forEach(hours => {
+            accumulation[`h${hours}`] = Math.round(this.sum(hours) * 10) / 10;
+        });
+        
+        const event = this.getEvent();
+        accumulation.event = Math.round(event.total * 10) / 10;
+        accumulation.eventStart = event.start;
+        accumulation.observationCount = this.observations.length;
+        
+        return accumulation;
+    }
+    
+    save() {
+        if (!this.persist) return;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.observations));
+        } catch (error) {
+            console.warn('누적 강수량 저장 실패:', error);
+        }
+    }
+    
+    restore() {
+        if (!this.persist) return;
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                this.observations = JSON.parse(saved);
+                console.log(`💾 누적 강수량 관측 복원: ${this.observations.length}개`);
+            }
+        } catch (error) {
+            console.warn('누적 강수량 복원 실패:', error);
+        }
+    }
+    
+    clear() {
+        this.observations = [];
+        this.save();
+    }
+}
 
 // =====================================
 // 기상청 API 연동 클래스
 // =====================================
 class WeatherAPI {
     constructor() {
-        // 환경변수에서 API 키 로드 (Vite 사용)
-        // .env 파일에 VITE_WEATHER_API_KEY 설정 필요
+        // 기상청 API는 프록시 서버(server/proxy.js)를 통해 호출 - 서비스 키는 서버에서 주입
+        // 별도 도메인의 프록시를 쓰려면 .env 파일에 VITE_API_PROXY_URL 설정
         this.useRealAPI = true; // 실제 API 사용
-        this.apiKey = import.meta.env.VITE_WEATHER_API_KEY || 'api-3532dc9c6e964a018cbfe169c2b16ea6';
+        this.proxyUrl = import.meta.env.VITE_API_PROXY_URL || '/api';
         this.updateInterval = 10 * 60 * 1000; // 10분마다 업데이트
         this.autoUpdate = true;
         
-        // 산청군 좌표 (기상청 격자)
-        this.nx = import.meta.env.VITE_NX || 89; // 격자 X
-        this.ny = import.meta.env.VITE_NY || 90; // 격자 Y
+        // 기상청 격자 투영 (Lambert Conformal Conic, 5km 격자)
+        this.gridProjection = {
+            earthRadius: 6371.00877, // 지구 반경 (km)
+            gridSize: 5.0,           // 격자 간격 (km)
+            standardLat1: 30.0,      // 표준위도 1
+            standardLat2: 60.0,      // 표준위도 2
+            originLon: 126.0,        // 기준점 경도
+            originLat: 38.0,         // 기준점 위도
+            originX: 43,             // 기준점 X 격자
+            originY: 136             // 기준점 Y 격자
+        };
+        
+        // 산청군 좌표 (기상청 격자) - 미지정 시 산청군청 위경도로 계산
+        const defaultGrid = this.latLonToGrid(35.4156, 127.8734);
+        this.nx = import.meta.env.VITE_NX || defaultGrid.nx; // 격자 X
+        this.ny = import.meta.env.VITE_NY || defaultGrid.ny; // 격자 Y
+        
+        // 강수 공간 분포 표본 지점 (산청군 읍·면사무소, 근사 좌표)
+        this.samplingPoints = [
+            { name: '산청읍', lat: 35.4155, lon: 127.8735 },
+            { name: '차황면', lat: 35.5152, lon: 127.8661 },
+            { name: '오부면', lat: 35.5142, lon: 127.9288 },
+            { name: '생초면', lat: 35.4928, lon: 127.8226 },
+            { name: '금서면', lat: 35.4302, lon: 127.8082 },
+            { name: '삼장면', lat: 35.3447, lon: 127.8147 },
+            { name: '시천면', lat: 35.2779, lon: 127.8119 },
+            { name: '단성면', lat: 35.2913, lon: 127.9363 },
+            { name: '신안면', lat: 35.3294, lon: 127.9528 },
+            { name: '생비량면', lat: 35.3456, lon: 128.0231 },
+            { name: '신등면', lat: 35.3852, lon: 128.0103 }
+        ];
+        this.rainfallField = null; // 지점 관측 기반 강수 공간 분포 (RainfallField)
+        this.radarField = null;    // 레이더 합성 강수 분포 (RadarRainfallField)
+        this.useRadarField = true; // 레이더 자료가 있으면 지점 보간 대신 사용
+        this.forecast = null;      // 초단기예보 + 단기예보 시계열 (PCP/POP/TMP/REH)
+        
+        // 초단기실황은 매시 정시 자료가 약 40분 이후 제공됨
+        this.publishDelayMinutes = 40;
+        this.maxRetrySlots = 2; // 자료 없을 때 이전 발표시각으로 재시도 횟수
+        
+        // 매시 RN1 누적 (API 관측은 저장, Mock 관측은 세션 내에서만 누적)
+        this.accumulator = new RainfallAccumulator();
+        this.mockAccumulator = new RainfallAccumulator({ persist: false });
         
         this.currentData = {
             rainfall: 0,      // 1시간 강수량 (mm)
-            totalRainfall: 0, // 누적 강수량
+            totalRainfall: 0, // 누적 강수량 (현재 강수 사상)
+            accumulation: this.accumulator.getAccumulation(), // 1/3/6/12/24시간·사상 누적
             temperature: 0,   // 기온 (°C)
             humidity: 0,      // 습도 (%)
+            windSpeed: 0,     // 풍속 (m/s)
+            windDirection: 0, // 풍향 (°, 바람이 불어오는 방향)
             lastUpdate: null
         };
+        
+        // 표시 중인 자료 상태 (출처, 관측 시각)
+        this.dataStatus = {
+            source: 'pending', // 'api' | 'mock' | 'pending'
+            baseDate: null,
+            baseTime: null,
+            observedAt: null
+        };
+    }
+    
+    // 기상청 LCC 투영 상수 (기상청 격자 변환 공식)
+    getGridConstants() {
+        const p = this.gridProjection;
+        const DEGRAD = Math.PI / 180;
+        
+        const re = p.earthRadius / p.gridSize;
+        const slat1 = p.standardLat1 * DEGRAD;
+        const slat2 = p.standardLat2 * DEGRAD;
+        const olon = p.originLon * DEGRAD;
+        const olat = p.originLat * DEGRAD;
+        
+        let sn = Math.tan(Math.PI * 0.25 + slat2 * 0.5) / Math.tan(Math.PI * 0.25 + slat1 * 0.5);
+        sn = Math.log(Math.cos(slat1) / Math.cos(slat2)) / Math.log(sn);
+        let sf = Math.tan(Math.PI * 0.25 + slat1 * 0.5);
+        sf = Math.pow(sf, sn) * Math.cos(slat1) / sn;
+        let ro = Math.tan(Math.PI * 0.25 + olat * 0.5);
+        ro = re * sf / Math.pow(ro, sn);
+        
+        return { DEGRAD, re, olon, sn, sf, ro, xo: p.originX, yo: p.originY };
+    }
+    
+    // 위경도 → 기상청 격자 (nx, ny)
+    latLonToGrid(lat, lon) {
+        const { DEGRAD, re, olon, sn, sf, ro, xo, yo } = this.getGridConstants();
+        
+        let ra = Math.tan(Math.PI * 0.25 + lat * DEGRAD * 0.5);
+        ra = re * sf / Math.pow(ra, sn);
+        let theta = lon * DEGRAD - olon;
+        if (theta > Math.PI) theta -= 2 * Math.PI;
+        if (theta < -Math.PI) theta += 2 * Math.PI;
+        theta *= sn;
+        
+        return {
+            nx: Math.floor(ra * Math.sin(theta) + xo + 0.5),
+            ny: Math.floor(ro - ra * Math.cos(theta) + yo + 0.5)
+        };
+    }
+    
+    // 기상청 격자 (nx, ny) → 격자 중심 위경도
+    gridToLatLon(nx, ny) {
+        const { DEGRAD, re, olon, sn, sf, ro, xo, yo } = this.getGridConstants();
+        
+        const xn = nx - xo;
+        const yn = ro - ny + yo;
+        let ra = Math.sqrt(xn * xn + yn * yn);
+        if (sn < 0) ra = -ra;
+        
+        let alat = Math.pow(re * sf / ra, 1 / sn);
+        alat = 2 * Math.atan(alat) - Math.PI * 0.5;
+        
+        let theta;
+        if (Math.abs(xn) <= 0) {
+            theta = 0;
+        } else if (Math.abs(yn) <= 0) {
+            theta = Math.PI * 0.5;
+            if (xn < 0) theta = -theta;
+        } else {
+            theta = Math.atan2(xn, yn);
+        }
+        const alon = theta / sn + olon;
+        
+        return { lat: alat / DEGRAD, lon: alon / DEGRAD };
+    }
+    
+    // 발표 기준 날짜/시간 (KST, YYYYMMDD, HHmm)
+    // slotsBack: 가장 최근 발표시각에서 몇 시간 이전 자료를 요청할지
+    getDateTime(slotsBack = 0, now = new Date()) {
+        // 브라우저 시간대와 무관하게 KST(UTC+9)로 계산
+        const kst = new Date(now.getTime() + 9 * 3600000);
+        
+        // 발표 전이면 이전 정시 자료 사용 (자정 이전이면 날짜도 하루 전으로)
+        if (kst.getUTCMinutes() < this.publishDelayMinutes) {
+            slotsBack += 1;
+        }
+        kst.setUTCHours(kst.getUTCHours() - slotsBack, 0, 0, 0);
+        
+        const { date, time } = this.formatKST(kst);
+        
+        return {
+            date,
+            time, // 정시 기준
+            observedAt: new Date(kst.getTime() - 9 * 3600000) // 관측 시각 (실제 시각)
+        };
     }
     
-    // 날짜/시간 포맷 (YYYYMMDD, HHmm)
-    getDateTime() {
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
-        const hours = String(now.getHours()).padStart(2, '0');
-        const minutes = '00'; // 정시 기준
+    // KST 기준 Date(UTC 필드 사용) → YYYYMMDD, HHmm
+    formatKST(kst) {
+        const year = kst.getUTCFullYear();
+        const month = String(kst.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(kst.getUTCDate()).padStart(2, '0');
+        const hours = String(kst.getUTCHours()).padStart(2, '0');
+        const minutes = String(kst.getUTCMinutes()).padStart(2, '0');
         
         return {
             date: `${year}${month}${day}`,
@@ -43,6 +318,36 @@ class WeatherAPI {
         };
     }
     
+    // 초단기예보 발표시각 (매시 30분 발표, 45분 이후 제공)
+    getUltraShortForecastBase(slotsBack = 0, now = new Date()) {
+        const kst = new Date(now.getTime() + 9 * 3600000);
+        if (kst.getUTCMinutes() < 45) {
+            slotsBack += 1;
+        }
+        kst.setUTCHours(kst.getUTCHours() - slotsBack, 30, 0, 0);
+        return this.formatKST(kst);
+    }
+    
+    // 단기예보 발표시각 (02, 05, ..., 23시 발표, 10분 이후 제공)
+    getVillageForecastBase(slotsBack = 0, now = new Date()) {
+        const kst = new Date(now.getTime() + 9 * 3600000);
+        const minutesOfDay = kst.getUTCHours() * 60 + kst.getUTCMinutes();
+        
+        // 오늘 발표된 가장 최근 발표시각 (02:10 이전이면 전날 23시)
+        let baseHour = 23;
+        let dayOffset = -1;
+        [2, 5, 8, 11, 14, 17, 20, 23].forEach(hour => {
+            if (minutesOfDay >= hour * 60 + 10) {
+                baseHour = hour;
+                dayOffset = 0;
+            }
+        });
+        
+        kst.setUTCDate(kst.getUTCDate() + dayOffset);
+        kst.setUTCHours(baseHour - slotsBack * 3, 0, 0, 0);
+        return this.formatKST(kst);
+    }
+    
     // Mock 데이터 생성 (실제 API 없을 때)
     generateMockData() {
         const hour = new Date().getHours();
@@ -60,75 +365,438 @@ class WeatherAPI {
             rainfall = Math.random() * 5; // 0-5mm/h
         }
         
+        rainfall = Math.round(rainfall * 10) / 10;
+        this.mockAccumulator.addObservation(new Date(), rainfall);
+        const accumulation = this.mockAccumulator.getAccumulation();
+        
         this.currentData = {
-            rainfall: Math.round(rainfall * 10) / 10,
-            totalRainfall: Math.round((rainfall * 3 + Math.random() * 50) * 10) / 10,
+            rainfall,
+            totalRainfall: accumulation.event,
+            accumulation,
             temperature: Math.round((20 + Math.random() * 10) * 10) / 10,
             humidity: Math.round(60 + Math.random() * 30),
+            // 장마철 남서풍, 비가 강할수록 바람도 강하게
+            windSpeed: Math.round((1 + Math.random() * 4 + rainfall * 0.1) * 10) / 10,
+            windDirection: Math.round(200 + Math.random() * 60),
             lastUpdate: new Date()
         };
         
+        this.dataStatus = {
+            source: 'mock',
+            baseDate: null,
+            baseTime: null,
+            observedAt: null
+        };
+        
         return this.currentData;
     }
     
-    // 기상청 초단기실황 API 호출
-    async fetchRealData() {
-        if (!this.useRealAPI) {
-            return this.generateMockData();
-        }
-        
-        try {
-            const { date, time } = this.getDateTime();
-            const url = 'http://apis.data.go.kr/1360000/VilageFcstInfoService_2.0/getUltraSrtNcst';
+    // 초단기실황 1회 요청 (자료가 없으면 null)
+    async requestNowcast(date, time, nx = this.nx, ny = this.ny) {
+        return this.requestVilageService('getUltraSrtNcst', date, time, nx, ny, 10);
+    }
+    
+    // 침수/경보 계산에 쓸 강수 분포 (레이더 우선)
+    getRainfallField() {
+        return this.useRadarField && this.radarField ? this.radarField : this.rainfallField;
+    }
+    
+    // 다음 1시간 예보 강수량 (mm, AI 예측 입력) - 예보가 없거나 Mock 예보면 null (학습 평균으로 채워짐)
+    getNextHourForecastRainfall(after = new Date()) {
+        if (!this.forecast || this.forecast.isMock) return null;
+        const entry = this.forecast.series.find(e => e.time > after);
+        return entry ? entry.pcp : null;
+    }
+    
+    // 바람이 불어오는 쪽 distanceKm 지점의 보간 강수량 (mm/h, AI 예측 입력) - 무풍이거나 강수 분포가 없으면 null
+    // 학습 명령과 같은 정의 (upstreamOffset + 지점 IDW 보간) - 그래서 레이더가 아닌 지점 관측 분포 사용
+    getUpstreamRainfall(distanceKm) {
+        const field = this.rainfallField;
+        const offset = upstreamOffset(this.currentData.windSpeed, this.currentData.windDirection, distanceKm);
+        if (!field || !offset) return null;
+        
+        const { center } = field.geoService;
+        const origin = field.geoService.latLonToTM(center.lat, center.lon);
+        const rainfall = field.sampleTM(origin.easting + offset.east * 1000, origin.northing + offset.north * 1000);
+        return Math.round(rainfall * 10) / 10;
+    }
+    
+    // 동네예보 서비스 공통 요청 (초단기실황/초단기예보/단기예보)
+    // numOfRows 보다 자료가 많으면(totalCount) 다음 쪽까지 이어서 받음
+    async requestVilageService(operation, date, time, nx, ny, numOfRows) {
+        const url = `${this.proxyUrl}/kma/${operation}`;
+        const requestPage = async (pageNo) => {
             const params = new URLSearchParams({
-                serviceKey: this.apiKey,
-                numOfRows: '10',
-                pageNo: '1',
+                numOfRows: String(numOfRows),
+                pageNo: String(pageNo),
                 dataType: 'JSON',
                 base_date: date,
                 base_time: time,
-                nx: this.nx,
-                ny: this.ny
+                nx: nx,
+                ny: ny
             });
-            
             const response = await fetch(`${url}?${params}`);
-            const data = await response.json();
+            return response.json();
+        };
+        
+        try {
+            const data = await requestPage(1);
+            const header = data.response?.header;
+            let items = data.response?.body?.items?.item;
             
-            if (data.response.header.resultCode === '00') {
-                const items = data.response.body.items.item;
-                
-                items.forEach(item => {
-                    switch(item.category) {
-                        case 'RN1': // 1시간 강수량
-                            this.currentData.rainfall = parseFloat(item.obsrValue);
-                            break;
-                        case 'T1H': // 기온
-                            this.currentData.temperature = parseFloat(item.obsrValue);
-                            break;
-                        case 'REH': // 습도
-                            this.currentData.humidity = parseFloat(item.obsrValue);
-                            break;
-                    }
-                });
-                
-                this.currentData.lastUpdate = new Date();
+            if (header?.resultCode !== '00' || !items || items.length === 0) {
+                console.warn(`기상청 API 자료 없음 (${operation} ${date} ${time}, ${nx}/${ny}): ${header?.resultMsg || '빈 응답'}`);
+                return null;
+            }
+            
+            const totalCount = data.response.body.totalCount ?? items.length;
+            const pageCount = Math.ceil(totalCount / numOfRows);
+            for (let pageNo = 2; pageNo <= pageCount; pageNo++) {
+                const page = await requestPage(pageNo);
+                const pageItems = page.response?.body?.items?.item;
+                if (page.response?.header?.resultCode !== '00' || !pageItems) {
+                    console.warn(`기상청 API ${operation} ${pageNo}/${pageCount}쪽 없음 - 받은 ${items.length}/${totalCount}개만 사용`);
+                    break;
+                }
+                items = items.concat(pageItems);
             }
             
-            return this.currentData;
+            return items;
         } catch (error) {
-            console.warn('기상청 API 호출 실패, Mock 데이터 사용:', error);
+            console.warn(`기상청 API 호출 실패 (${operation} ${date} ${time}, ${nx}/${ny}):`, error);
+            return null;
+        }
+    }
+    
+    // 초단기실황 항목 파싱
+    parseNowcastItems(items) {
+        const values = {};
+        
+        items.forEach(item => {
+            switch(item.category) {
+                case 'RN1': // 1시간 강수량
+                    values.rainfall = parseFloat(item.obsrValue);
+                    break;
+                case 'T1H': // 기온
+                    values.temperature = parseFloat(item.obsrValue);
+                    break;
+                case 'REH': // 습도
+                    values.humidity = parseFloat(item.obsrValue);
+                    break;
+                case 'VEC': // 풍향 (°)
+                    values.windDirection = parseFloat(item.obsrValue);
+                    break;
+                case 'WSD': // 풍속 (m/s)
+                    values.windSpeed = parseFloat(item.obsrValue);
+                    break;
+                case 'UUU': // 동서 바람성분 (동쪽 +, m/s)
+                    values.windU = parseFloat(item.obsrValue);
+                    break;
+                case 'VVV': // 남북 바람성분 (북쪽 +, m/s)
+                    values.windV = parseFloat(item.obsrValue);
+                    break;
+            }
+        });
+        
+        // 풍향/풍속이 빠지면 바람성분으로 보완
+        if ((values.windSpeed === undefined || values.windDirection === undefined) &&
+            values.windU !== undefined && values.windV !== undefined) {
+            Object.assign(values, windFromComponents(values.windU, values.windV));
+        }
+        
+        return values;
+    }
+    
+    // 임의 지점 초단기실황 조회 ({ lat, lon } 또는 { nx, ny })
+    // 최근 발표시각부터 이전 발표시각으로 재시도, 자료가 없으면 null
+    async fetchNowcastAt(location) {
+        const { nx, ny } = location.nx !== undefined ? location : this.latLonToGrid(location.lat, location.lon);
+        
+        for (let slotsBack = 0; slotsBack <= this.maxRetrySlots; slotsBack++) {
+            const { date, time, observedAt } = this.getDateTime(slotsBack);
+            const items = await this.requestNowcast(date, time, nx, ny);
+            if (!items) continue;
+            
+            return {
+                ...this.parseNowcastItems(items),
+                nx,
+                ny,
+                baseDate: date,
+                baseTime: time,
+                observedAt
+            };
+        }
+        
+        return null;
+    }
+    
+    // 기상청 초단기실황 API 호출 (산청군 대표 격자)
+    async fetchRealData() {
+        if (!this.useRealAPI) {
+            return this.generateMockData();
+        }
+        
+        const nowcast = await this.fetchNowcastAt({ nx: this.nx, ny: this.ny });
+        if (!nowcast) {
+            console.warn('기상청 API 자료를 받지 못해 Mock 데이터 사용');
             return this.generateMockData();
         }
+        
+        ['rainfall', 'temperature', 'humidity', 'windSpeed', 'windDirection'].forEach(key => {
+            if (nowcast[key] !== undefined) {
+                this.currentData[key] = nowcast[key];
+            }
+        });
+        
+        // 관측 정시 기준으로 누적
+        if (nowcast.rainfall !== undefined) {
+            this.accumulator.addObservation(nowcast.observedAt, nowcast.rainfall);
+        }
+        this.currentData.accumulation = this.accumulator.getAccumulation();
+        this.currentData.totalRainfall = this.currentData.accumulation.event;
+        
+        this.currentData.lastUpdate = new Date();
+        this.dataStatus = {
+            source: 'api',
+            baseDate: nowcast.baseDate,
+            baseTime: nowcast.baseTime,
+            observedAt: nowcast.observedAt
+        };
+        
+        return this.currentData;
+    }
+    
+    // 예보 강수량 문자열 → mm ('강수없음', '1mm 미만', '30.0~50.0mm', '50.0mm 이상' 등)
+    parsePrecipitation(value) {
+        if (value === undefined || value === null) return 0;
+        const text = String(value).trim();
+        
+        if (text === '강수없음' || text === '-' || text === '0') return 0;
+        if (text.includes('미만')) return 0.5;
+        if (text.includes('~')) {
+            const [low, high] = text.split('~').map(v => parseFloat(v));
+            return (low + high) / 2;
+        }
+        
+        const amount = parseFloat(text);
+        return Number.isNaN(amount) ? 0 : amount;
+    }
+    
+    // 예보 항목 → 시각별 시계열
+    parseForecastItems(items, source) {
+        const byTime = new Map();
+        
+        items.forEach(item => {
+            const key = `${item.fcstDate}${item.fcstTime}`;
+            if (!byTime.has(key)) {
+                // 예보 시각 (KST) → Date
+                const y = item.fcstDate.slice(0, 4);
+                const m = item.fcstDate.slice(4, 6);
+                const d = item.fcstDate.slice(6, 8);
+                const hh = item.fcstTime.slice(0, 2);
+                byTime.set(key, {
+                    time: new Date(`${y}-${m}-${d}T${hh}:00:00+09:00`),
+                    hour: parseInt(hh, 10),
+                    pcp: 0,
+                    pop: null,
+                    tmp: null,
+                    reh: null,
+                    source
+                });
+            }
+            
+            const entry = byTime.get(key);
+            switch(item.category) {
+                case 'PCP': // 1시간 강수량 (단기예보)
+                case 'RN1': // 1시간 강수량 (초단기예보)
+                    entry.pcp = this.parsePrecipitation(item.fcstValue);
+                    break;
+                case 'POP': // 강수확률 (%)
+                    entry.pop = parseFloat(item.fcstValue);
+                    break;
+                case 'TMP': // 1시간 기온 (단기예보)
+                case 'T1H': // 기온 (초단기예보)
+                    entry.tmp = parseFloat(item.fcstValue);
+                    break;
+                case 'REH': // 습도
+                    entry.reh = parseFloat(item.fcstValue);
+                    break;
+            }
+        });
+        
+        return [...byTime.values()].sort((a, b) => a.time - b.time);
+    }
+    
+    // 초단기예보(6시간) + 단기예보(최대 72시간) 조회
+    async fetchForecast() {
+        if (!this.useRealAPI) {
+            return this.generateMockForecast();
+        }
+        
+        // 단기예보는 3시간마다 발표되므로 같은 발표시각이면 재사용
+        const villageBase = this.getVillageForecastBase();
+        let villageSeries = this.forecast?.villageBase === `${villageBase.date}${villageBase.time}`
+            ? this.forecast.villageSeries
+            : null;
+        let villageBaseKey = villageSeries ? this.forecast.villageBase : null;
+        
+        if (!villageSeries) {
+            for (let slotsBack = 0; slotsBack <= 1 && !villageSeries; slotsBack++) {
+                const { date, time } = this.getVillageForecastBase(slotsBack);
+                const items = await this.requestVilageService('getVilageFcst', date, time, this.nx, this.ny, 1000);
+                if (items) {
+                    villageSeries = this.parseForecastItems(items, 'village');
+                    villageBaseKey = `${date}${time}`;
+                }
+            }
+        }
+        
+        let ultraShortSeries = null;
+        for (let slotsBack = 0; slotsBack <= 1 && !ultraShortSeries; slotsBack++) {
+            const { date, time } = this.getUltraShortForecastBase(slotsBack);
+            const items = await this.requestVilageService('getUltraSrtFcst', date, time, this.nx, this.ny, 60);
+            if (items) {
+                ultraShortSeries = this.parseForecastItems(items, 'ultraShort');
+            }
+        }
+        
+        if (!villageSeries && !ultraShortSeries) {
+            console.warn('기상청 예보 자료를 받지 못해 Mock 예보 사용');
+            return this.generateMockForecast();
+        }
+        
+        this.forecast = {
+            series: this.mergeForecastSeries(villageSeries || [], ultraShortSeries || []),
+            villageSeries,
+            villageBase: villageBaseKey,
+            isMock: false,
+            updatedAt: new Date()
+        };
+        
+        console.log(`📅 예보 갱신: ${this.forecast.series.length}시간`);
+        return this.forecast;
+    }
+    
+    // 초단기예보 시각은 초단기예보 값 우선 (강수확률은 단기예보 값 유지)
+    mergeForecastSeries(villageSeries, ultraShortSeries) {
+        const merged = new Map();
+        villageSeries.forEach(entry => merged.set(entry.time.getTime(), { ...entry }));
+        ultraShortSeries.forEach(entry => {
+            const existing = merged.get(entry.time.getTime());
+            merged.set(entry.time.getTime(), {
+                ...entry,
+                pop: existing ? existing.pop : entry.pop,
+                reh: entry.reh ?? existing?.reh ?? null
+            });
+        });
+        
+        // 지난 시각 제외
+        const currentHour = Date.now() - 3600000;
+        return [...merged.values()]
+            .filter(entry => entry.time.getTime() >= currentHour)
+            .sort((a, b) => a.time - b.time);
+    }
+    
+    // Mock 72시간 예보 생성
+    generateMockForecast() {
+        const series = [];
+        const start = new Date();
+        start.setMinutes(0, 0, 0);
+        
+        let rainfall = this.currentData.rainfall;
+        for (let i = 1; i <= 72; i++) {
+            const time = new Date(start.getTime() + i * 3600000);
+            rainfall = Math.max(0, rainfall + (Math.random() - 0.55) * 6);
+            series.push({
+                time,
+                hour: (time.getUTCHours() + 9) % 24, // KST
+                pcp: Math.round(rainfall * 10) / 10,
+                pop: Math.min(100, Math.round(rainfall * 8 + Math.random() * 20)),
+                tmp: Math.round((22 + Math.sin(i / 24 * Math.PI * 2) * 5) * 10) / 10,
+                reh: Math.round(60 + Math.random() * 35),
+                source: 'mock'
+            });
+        }
+        
+        this.forecast = {
+            series,
+            villageSeries: null,
+            villageBase: null,
+            isMock: true,
+            updatedAt: new Date()
+        };
+        
+        return this.forecast;
+    }
+    
+    // 표본 지점별 초단기실황 조회 후 강수 공간 분포 생성
+    async fetchRainfallField() {
+        // 같은 격자에 속한 지점은 한 번만 요청
+        const cells = new Map();
+        this.samplingPoints.forEach(point => {
+            const { nx, ny } = this.latLonToGrid(point.lat, point.lon);
+            const key = `${nx},${ny}`;
+            if (!cells.has(key)) cells.set(key, { nx, ny, points: [] });
+            cells.get(key).points.push(point);
+        });
+        
+        const samples = [];
+        if (this.useRealAPI) {
+            const results = await Promise.all(
+                [...cells.values()].map(cell => this.fetchNowcastAt({ nx: cell.nx, ny: cell.ny }))
+            );
+            
+            [...cells.values()].forEach((cell, i) => {
+                const nowcast = results[i];
+                if (!nowcast || nowcast.rainfall === undefined) return;
+                cell.points.forEach(point => {
+                    samples.push({
+                        ...point,
+                        nx: cell.nx,
+                        ny: cell.ny,
+                        rainfall: nowcast.rainfall,
+                        windSpeed: nowcast.windSpeed,
+                        windDirection: nowcast.windDirection
+                    });
+                });
+            });
+        }
+        
+        // 지점 자료를 받지 못하면 분포 없음 (임의 분포가 경보/마커/예측 입력에 쓰이지 않도록 대표값만 사용)
+        if (samples.length === 0) {
+            this.rainfallField = null;
+            console.log('🗺️ 강수 공간 분포 없음 - 지점 자료 미수신, 대표 지점 값만 사용');
+            return null;
+        }
+        
+        this.rainfallField = new RainfallField(samples, geoService);
+        console.log(`🗺️ 강수 공간 분포 갱신: ${samples.length}개 지점, 최대 ${this.rainfallField.max.rainfall}mm/h (${this.rainfallField.max.name})`);
+        
+        return this.rainfallField;
+    }
+    
+    // 대표 지점 실황 + 강수 공간 분포 + 예보 갱신
+    async update() {
+        await this.fetchRealData();
+        await this.fetchRainfallField();
+        await this.fetchForecast();
+        return this.currentData;
+    }
+    
+    // 지점별 바람 (바람 화살표 표시용, 풍속/풍향이 있는 지점만)
+    getWindSamples() {
+        if (!this.rainfallField) return [];
+        return this.rainfallField.samples
+            .filter(sample => sample.windSpeed !== undefined && sample.windDirection !== undefined)
+            .map(({ name, lat, lon, windSpeed, windDirection }) => ({ name, lat, lon, windSpeed, windDirection }));
     }
     
-    // 강수량 기반 침수 레벨 계산
-    calculateFloodLevel(rainfall) {
-        // 강수량(mm/h) → 침수 레벨(0-100%)
-        if (rainfall === 0) return 0;
-        if (rainfall < 10) return rainfall * 3;
-        if (rainfall < 30) return 30 + (rainfall - 10) * 2;
-        if (rainfall < 50) return 70 + (rainfall - 30) * 1;
-        return Math.min(100, 90 + (rainfall - 50) * 0.5);
+    // 누적 강수량 기반 침수 레벨 계산
+    calculateFloodLevel(accumulation) {
+        // 침수는 시간당 강수보다 누적 강수에 좌우됨
+        // 현재 강수 사상 누적과 24시간 누적 중 큰 값(mm) → 침수 레벨(0-100%)
+        const cumulative = Math.max(accumulation.event, accumulation.h24);
+        return rainfallToFloodLevel(cumulative);
     }
     
     // 자동 업데이트 시작
@@ -136,12 +804,12 @@ class WeatherAPI {
         this.autoUpdate = true;
         
         // 즉시 첫 데이터 로드
-        this.fetchRealData().then(callback);
+        this.update().then(callback);
         
         // 주기적 업데이트
         this.intervalId = setInterval(() => {
             if (this.autoUpdate) {
-                this.fetchRealData().then(callback);
+                this.update().then(callback);
             }
         }, this.updateInterval);
         
@@ -158,97 +826,786 @@ class WeatherAPI {
     }
 }
 
+// 풍향(°, 불어오는 방향)/풍속 → 동서(u, 동쪽 +)/남북(v, 북쪽 +) 성분 (m/s)
+function windToComponents(speed, direction) {
+    const radians = direction * Math.PI / 180;
+    return { u: -speed * Math.sin(radians), v: -speed * Math.cos(radians) };
+}
+
+// 동서/남북 성분 → 풍속/풍향
+function windFromComponents(u, v) {
+    const speed = Math.hypot(u, v);
+    const direction = speed > 0 ? (Math.atan2(-u, -v) * 180 / Math.PI + 360) % 360 : 0;
+    return {
+        windSpeed: Math.round(speed * 10) / 10,
+        windDirection: Math.round(direction)
+    };
+}
+
+// 풍향 16방위 (북, 북북동, ...)
+function windDirectionName(direction) {
+    const names = ['북', '북북동', '북동', '동북동', '동', '동남동', '남동', '남남동',
+        '남', '남남서', '남서', '서남서', '서', '서북서', '북서', '북북서'];
+    return names[Math.round(((direction % 360) + 360) % 360 / 22.5) % 16];
+}
+
 // 전역 WeatherAPI 인스턴스
 const weatherAPI = new WeatherAPI();
+window.weatherAPI = weatherAPI; // 콘솔에서 격자 변환/지점 조회용
 
 // =====================================
-// 천리안 위성 영상 오버레이 클래스
+// 좌표 변환 서비스 (WGS84 ↔ EPSG:5186 ↔ 씬 좌표)
 // =====================================
-class SatelliteImageOverlay {
-    constructor(scene, apiKey) {
-        this.scene = scene;
-        this.apiKey = apiKey;
-        this.baseUrl = 'http://nmsc.kma.go.kr/enhd/api';
-        this.overlayPlane = null;
-        this.currentImage = null;
-        this.updateInterval = 10 * 60 * 1000; // 10분
-        this.enabled = true;
-        
-        // 위성 영상 타입
-        this.imageTypes = {
-            daynight: 'Day/Night RGB',
-            natural: 'Natural Color',
-            ir105: 'Infrared 10.5μm',
-            wv069: 'Water Vapor 6.9μm'
+class GeoCoordinateService {
+    constructor() {
+        // GRS80 타원체
+        this.a = 6378137;
+        this.f = 1 / 298.257222101;
+        this.e2 = this.f * (2 - this.f);
+        this.ep2 = this.e2 / (1 - this.e2);
+
+        // EPSG:5186 (Korea 2000 / Central Belt 2010) 투영 파라미터
+        this.projection = {
+            lat0: 38,
+            lon0: 127,
+            k0: 1,
+            falseEasting: 200000,
+            falseNorthing: 600000
         };
-        this.currentType = 'daynight';
+
+        // 산청군 중심 (산청군청)
+        this.center = { lat: 35.4156, lon: 127.8734 };
+
+        // 지형 모델의 실제 범위 (EPSG:5186, m)
+        // .env 의 VITE_MODEL_EXTENT="minE,minN,maxE,maxN" 으로 지정, 없으면 산청군 행정구역 외곽 근사값
+        this.modelExtent = this.parseExtent(import.meta.env.VITE_MODEL_EXTENT) ||
+            this.latLonBoundsToExtent({ minLat: 35.18, maxLat: 35.56, minLon: 127.72, maxLon: 128.07 });
+
+        this.model = null;
+        this.localBounds = null; // 모델 로컬 좌표 범위 (x, z)
+        this.listeners = [];
     }
-    
-    // Mock 위성 영상 생성 (API 실패 시)
-    generateMockSatelliteTexture() {
-        const canvas = document.createElement('canvas');
-        canvas.width = 512;
-        canvas.height = 512;
-        const ctx = canvas.getContext('2d');
-        
-        // 그라디언트 배경 (구름 효과)
-        const gradient = ctx.createRadialGradient(256, 256, 50, 256, 256, 300);
-        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
-        gradient.addColorStop(0.5, 'rgba(200, 220, 255, 0.5)');
-        gradient.addColorStop(1, 'rgba(150, 180, 220, 0.2)');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, 512, 512);
-        
-        // 랜덤 구름 패턴
-        for (let i = 0; i < 20; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const radius = Math.random() * 50 + 30;
-            const cloudGradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
-            cloudGradient.addColorStop(0, 'rgba(255, 255, 255, 0.7)');
-            cloudGradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
-            ctx.fillStyle = cloudGradient;
-            ctx.beginPath();
-            ctx.arc(x, y, radius, 0, Math.PI * 2);
-            ctx.fill();
-        }
-        
-        const texture = new THREE.CanvasTexture(canvas);
-        return texture;
+
+    parseExtent(value) {
+        if (!value) return null;
+        const [minE, minN, maxE, maxN] = value.split(',').map(Number);
+        if ([minE, minN, maxE, maxN].some(Number.isNaN)) return null;
+        return { minE, minN, maxE, maxN };
     }
-    
-    // 위성 영상 다운로드
-    async fetchSatelliteImage(type = 'daynight') {
-        try {
+
+    // 위경도 범위 → TM 범위
+    latLonBoundsToExtent({ minLat, maxLat, minLon, maxLon }) {
+        const corners = [
+            this.latLonToTM(minLat, minLon),
+            this.latLonToTM(minLat, maxLon),
+            this.latLonToTM(maxLat, minLon),
+            this.latLonToTM(maxLat, maxLon)
+        ];
+        return {
+            minE: Math.min(...corners.map(c => c.easting)),
+            minN: Math.min(...corners.map(c => c.northing)),
+            maxE: Math.max(...corners.map(c => c.easting)),
+            maxN: Math.max(...corners.map(c => c.northing))
+        };
+    }
+
+    // 자오선 호장
+    meridianArc(phi) {
+        const e2 = this.e2;
+        const e4 = e2 * e2;
+        const e6 = e4 * e2;
+        return this.a * (
+            (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+            (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+            (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+            (35 * e6 / 3072) * Math.sin(6 * phi)
+        );
+    }
+
+    // WGS84 위경도 → EPSG:5186 (횡메르카토르)
+    latLonToTM(lat, lon) {
+        const { lat0, lon0, k0, falseEasting, falseNorthing } = this.projection;
+        const deg = Math.PI / 180;
+        const phi = lat * deg;
+
+        const N = this.a / Math.sqrt(1 - this.e2 * Math.sin(phi) ** 2);
+        const T = Math.tan(phi) ** 2;
+        const C = this.ep2 * Math.cos(phi) ** 2;
+        const A = (lon - lon0) * deg * Math.cos(phi);
+        const M = this.meridianArc(phi);
+        const M0 = this.meridianArc(lat0 * deg);
+
+        const easting = falseEasting + k0 * N * (
+            A + (1 - T + C) * A ** 3 / 6 +
+            (5 - 18 * T + T * T + 72 * C - 58 * this.ep2) * A ** 5 / 120
+        );
+        const northing = falseNorthing + k0 * (
+            M - M0 + N * Math.tan(phi) * (
+                A * A / 2 +
+                (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24 +
+                (61 - 58 * T + T * T + 600 * C - 330 * this.ep2) * A ** 6 / 720
+            )
+        );
+
+        return { easting, northing };
+    }
+
+    // EPSG:5186 → WGS84 위경도
+    tmToLatLon(easting, northing) {
+        const { lat0, lon0, k0, falseEasting, falseNorthing } = this.projection;
+        const deg = Math.PI / 180;
+        const e2 = this.e2;
+
+        const M = this.meridianArc(lat0 * deg) + (northing - falseNorthing) / k0;
+        const mu = M / (this.a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 ** 3 / 256));
+        const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+        const phi1 = mu +
+            (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+            (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+            (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+            (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+        const C1 = this.ep2 * Math.cos(phi1) ** 2;
+        const T1 = Math.tan(phi1) ** 2;
+        const N1 = this.a / Math.sqrt(1 - e2 * Math.sin(phi1) ** 2);
+        const R1 = this.a * (1 - e2) / Math.pow(1 - e2 * Math.sin(phi1) ** 2, 1.5);
+        const D = (easting - falseEasting) / (N1 * k0);
+
+        const phi = phi1 - (N1 * Math.tan(phi1) / R1) * (
+            D * D / 2 -
+            (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * this.ep2) * D ** 4 / 24 +
+            (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * this.ep2 - 3 * C1 * C1) * D ** 6 / 720
+        );
+        const lambda = (
+            D - (1 + 2 * T1 + C1) * D ** 3 / 6 +
+            (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * this.ep2 + 24 * T1 * T1) * D ** 5 / 120
+        ) / Math.cos(phi1);
+
+        return { lat: phi / deg, lon: lon0 + lambda / deg };
+    }
+
+    // 모델 로드 후 로컬 좌표 범위 등록
+    setModelTransform(model, localBounds) {
+        this.model = model;
+        this.localBounds = localBounds;
+        console.log('🗺️ 좌표 변환 서비스: 지형 모델 기준 좌표 등록');
+        this.listeners.forEach(callback => callback());
+    }
+
+    // 모델 기준 좌표 등록 시 호출 (오버레이 재배치용)
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    get isReady() {
+        return this.model !== null;
+    }
+
+    // TM → 모델 로컬 좌표 (북쪽 = -Z)
+    tmToLocal(easting, northing, elevation = 0) {
+        const { minE, minN, maxE, maxN } = this.modelExtent;
+        const { minX, maxX, minZ, maxZ } = this.localBounds;
+        const u = (easting - minE) / (maxE - minE);
+        const v = (maxN - northing) / (maxN - minN);
+        return new THREE.Vector3(minX + u * (maxX - minX), elevation, minZ + v * (maxZ - minZ));
+    }
+
+    // 모델 로컬 좌표 → TM
+    localToTM(x, z) {
+        const { minE, minN, maxE, maxN } = this.modelExtent;
+        const { minX, maxX, minZ, maxZ } = this.localBounds;
+        const u = (x - minX) / (maxX - minX);
+        const v = (z - minZ) / (maxZ - minZ);
+        return { easting: minE + u * (maxE - minE), northing: maxN - v * (maxN - minN) };
+    }
+
+    // TM → 씬(월드) 좌표
+    tmToScene(easting, northing, elevation = 0) {
+        if (this.isReady) {
+            this.model.updateMatrixWorld(true);
+            return this.model.localToWorld(this.tmToLocal(easting, northing, elevation));
+        }
+
+        // 모델 로드 전: 모델과 같은 방식(최대 변 10, 원점 중심)으로 임시 배치
+        const { minE, minN, maxE, maxN } = this.modelExtent;
+        const scale = this.getSceneScale();
+        return new THREE.Vector3(
+            (easting - (minE + maxE) / 2) * scale,
+            elevation * scale,
+            ((minN + maxN) / 2 - northing) * scale
+        );
+    }
+
+    // 씬 좌표 → TM
+    sceneToTM(point) {
+        const { minE, minN, maxE, maxN } = this.modelExtent;
+
+        if (this.isReady) {
+            const local = this.model.worldToLocal(point.clone());
+            return this.localToTM(local.x, local.z);
+        }
+
+        const scale = this.getSceneScale();
+        return {
+            easting: (minE + maxE) / 2 + point.x / scale,
+            northing: (minN + maxN) / 2 - point.z / scale
+        };
+    }
+
+    // 실제 고도(m) → 씬 Y 좌표
+    elevationToSceneY(elevation) {
+        const { minE, minN, maxE, maxN } = this.modelExtent;
+        return this.tmToScene((minE + maxE) / 2, (minN + maxN) / 2, elevation).y;
+    }
+
+    // WGS84 위경도 → Lambert Conformal Conic 평면 좌표 (m, 타원체)
+    // 천리안 2A호 한반도 영역 영상 좌표계 (표준위도 30/60°N, 원점 38°N 126°E)
+    latLonToLCC(lat, lon, { standardLat1 = 30, standardLat2 = 60, originLat = 38, originLon = 126 } = {}) {
+        const deg = Math.PI / 180;
+        const e = Math.sqrt(this.e2);
+        const m = (phi) => Math.cos(phi) / Math.sqrt(1 - this.e2 * Math.sin(phi) ** 2);
+        const t = (phi) => Math.tan(Math.PI / 4 - phi / 2) /
+            Math.pow((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi)), e / 2);
+
+        const phi1 = standardLat1 * deg;
+        const phi2 = standardLat2 * deg;
+        const n = (Math.log(m(phi1)) - Math.log(m(phi2))) / (Math.log(t(phi1)) - Math.log(t(phi2)));
+        const F = m(phi1) / (n * Math.pow(t(phi1), n));
+        const rho = this.a * F * Math.pow(t(lat * deg), n);
+        const rho0 = this.a * F * Math.pow(t(originLat * deg), n);
+        const theta = n * (lon - originLon) * deg;
+
+        return { x: rho * Math.sin(theta), y: rho0 - rho * Math.cos(theta) };
+    }
+
+    latLonToScene(lat, lon, elevation = 0) {
+        const { easting, northing } = this.latLonToTM(lat, lon);
+        return this.tmToScene(easting, northing, elevation);
+    }
+
+    sceneToLatLon(point) {
+        const { easting, northing } = this.sceneToTM(point);
+        return this.tmToLatLon(easting, northing);
+    }
+
+    // 수평 1m 당 씬 단위
+    getSceneScale() {
+        const { minE, minN, maxE, maxN } = this.modelExtent;
+
+        if (this.isReady) {
+            const { minX, maxX } = this.localBounds;
+            return (maxX - minX) / (maxE - minE) * this.model.scale.x;
+        }
+
+        return 10 / Math.max(maxE - minE, maxN - minN);
+    }
+
+    // TM 범위 → 씬 사각형 (중심, 폭, 깊이)
+    extentToSceneRect({ minE, minN, maxE, maxN }) {
+        const min = this.tmToScene(minE, maxN);
+        const max = this.tmToScene(maxE, minN);
+        return {
+            center: new THREE.Vector3((min.x + max.x) / 2, 0, (min.z + max.z) / 2),
+            width: max.x - min.x,
+            depth: max.z - min.z
+        };
+    }
+
+    // 위경도 범위 → 씬 사각형
+    latLonBoundsToSceneRect(bounds) {
+        return this.extentToSceneRect(this.latLonBoundsToExtent(bounds));
+    }
+
+    // 지형 모델 범위 → 씬 사각형
+    getModelSceneRect() {
+        return this.extentToSceneRect(this.modelExtent);
+    }
+
+    // 모델 범위 내 임의 위경도 (Mock 데이터용)
+    randomLatLonInModel() {
+        const { minE, minN, maxE, maxN } = this.modelExtent;
+        return this.tmToLatLon(
+            minE + Math.random() * (maxE - minE),
+            minN + Math.random() * (maxN - minN)
+        );
+    }
+}
+
+// =====================================
+// 강수 공간 분포 (지점 관측 → IDW 보간)
+// =====================================
+class RainfallField {
+    constructor(samples, geoService, { power = 2 } = {}) {
+        this.geoService = geoService;
+        this.power = power; // IDW 거리 가중 지수
+        this.updatedAt = new Date();
+        
+        // 거리 계산은 TM(m) 좌표로
+        this.samples = samples.map(sample => ({
+            ...sample,
+            ...geoService.latLonToTM(sample.lat, sample.lon)
+        }));
+        
+        this.max = this.samples.reduce((best, s) => (s.rainfall > best.rainfall ? s : best), this.samples[0]);
+        this.mean = this.samples.reduce((sum, s) => sum + s.rainfall, 0) / this.samples.length;
+    }
+    
+    // TM 좌표 지점 강수량 (mm/h) - 1m 이내면 관측 지점 값
+    sampleTM(easting, northing) {
+        return interpolateRainfall(this.samples, easting, northing, { power: this.power, matchDistance: 1 });
+    }
+    
+    // 위경도 지점 강수량 (mm/h)
+    sample(lat, lon) {
+        const { easting, northing } = this.geoService.latLonToTM(lat, lon);
+        return this.sampleTM(easting, northing);
+    }
+    
+    // 지형 격자 셀별 강수량 (TerrainFloodMapper 격자와 같은 인덱스)
+    toTerrainGrid(floodMapper) {
+        const res = floodMapper.resolution;
+        const { minX, minZ } = floodMapper.bounds;
+        const grid = new Float32Array(res * res);
+        
+        for (let row = 0; row < res; row++) {
+            for (let col = 0; col < res; col++) {
+                const x = minX + (col + 0.5) * floodMapper.cellSizeX;
+                const z = minZ + (row + 0.5) * floodMapper.cellSizeZ;
+                const { easting, northing } = this.geoService.localToTM(x, z);
+                grid[row * res + col] = this.sampleTM(easting, northing);
+            }
+        }
+        
+        return grid;
+    }
+}
+
+// =====================================
+// 레이더 강수 분포 (격자 강우강도, RainfallField와 같은 사용법)
+// =====================================
+class RadarRainfallField extends RainfallField {
+    // grid: { rainRate: Float32Array (mm/h, 북서쪽부터 행 우선), width, height, extent (EPSG:5186) }
+    constructor(grid, geoService, villages, observedAt) {
+        // 마을 지점은 경보 마커/표시용 표본으로 사용
+        const samples = villages.map(village => {
+            const { easting, northing } = geoService.latLonToTM(village.lat, village.lon);
+            return { ...village, rainfall: 0, easting, northing };
+        });
+        super(samples, geoService);
+        
+        this.source = 'radar';
+        this.grid = grid;
+        this.observedAt = observedAt;
+        this.samples.forEach(sample => {
+            sample.rainfall = Math.round(this.sampleTM(sample.easting, sample.northing) * 10) / 10;
+        });
+        
+        // 격자 최대값 위치 → 가장 가까운 마을 이름으로 표시
+        let maxIndex = 0;
+        let sum = 0;
+        for (let i = 0; i < grid.rainRate.length; i++) {
+            sum += grid.rainRate[i];
+            if (grid.rainRate[i] > grid.rainRate[maxIndex]) maxIndex = i;
+        }
+        
+        const { easting, northing } = this.cellCenter(maxIndex);
+        const nearest = this.samples.reduce((best, s) =>
+            Math.hypot(s.easting - easting, s.northing - northing) < Math.hypot(best.easting - easting, best.northing - northing) ? s : best,
+            this.samples[0]);
+        
+        this.max = {
+            ...geoService.tmToLatLon(easting, northing),
+            easting,
+            northing,
+            rainfall: Math.round(grid.rainRate[maxIndex] * 10) / 10,
+            name: `${nearest.name} 부근`
+        };
+        this.mean = sum / grid.rainRate.length;
+    }
+    
+    cellCenter(index) {
+        const { width, height, extent } = this.grid;
+        const col = index % width;
+        const row = Math.floor(index / width);
+        return {
+            easting: extent.minE + (col + 0.5) / width * (extent.maxE - extent.minE),
+            northing: extent.maxN - (row + 0.5) / height * (extent.maxN - extent.minN)
+        };
+    }
+    
+    // 격자 최근린 값 (범위 밖은 0)
+    sampleTM(easting, northing) {
+        const { rainRate, width, height, extent } = this.grid;
+        const col = Math.floor((easting - extent.minE) / (extent.maxE - extent.minE) * width);
+        const row = Math.floor((extent.maxN - northing) / (extent.maxN - extent.minN) * height);
+        if (col < 0 || row < 0 || col >= width || row >= height) return 0;
+        return rainRate[row * width + col];
+    }
+}
+
+// 전역 좌표 변환 서비스
+const geoService = new GeoCoordinateService();
+window.geoService = geoService; // 콘솔에서 좌표 변환 확인용
+
+// =====================================
+// 태양 위치 계산 (NOAA Solar Calculator 알고리즘)
+// =====================================
+class SolarPositionCalculator {
+    constructor(lat, lon) {
+        this.lat = lat;
+        this.lon = lon;
+    }
+
+    toRad(deg) {
+        return deg * Math.PI / 180;
+    }
+
+    toDeg(rad) {
+        return rad * 180 / Math.PI;
+    }
+
+    // 율리우스 세기 (J2000.0 기준)
+    julianCentury(date) {
+        const julianDay = date.getTime() / 86400000 + 2440587.5;
+        return (julianDay - 2451545) / 36525;
+    }
+
+    // 태양 적위(°)와 균시차(분)
+    getSolarParameters(date) {
+        const T = this.julianCentury(date);
+
+        const meanLong = (280.46646 + T * (36000.76983 + T * 0.0003032)) % 360;
+        const meanAnomaly = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+        const eccentricity = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+
+        const M = this.toRad(meanAnomaly);
+        const center = Math.sin(M) * (1.914602 - T * (0.004817 + 0.000014 * T)) +
+            Math.sin(2 * M) * (0.019993 - 0.000101 * T) +
+            Math.sin(3 * M) * 0.000289;
+
+        const omega = this.toRad(125.04 - 1934.136 * T);
+        const apparentLong = meanLong + center - 0.00569 - 0.00478 * Math.sin(omega);
+
+        const meanObliquity = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+        const obliquity = this.toRad(meanObliquity + 0.00256 * Math.cos(omega));
+
+        const declination = Math.asin(Math.sin(obliquity) * Math.sin(this.toRad(apparentLong)));
+
+        const y = Math.tan(obliquity / 2) ** 2;
+        const L0 = this.toRad(meanLong);
+        const equationOfTime = 4 * this.toDeg(
+            y * Math.sin(2 * L0) -
+            2 * eccentricity * Math.sin(M) +
+            4 * eccentricity * y * Math.sin(M) * Math.cos(2 * L0) -
+            0.5 * y * y * Math.sin(4 * L0) -
+            1.25 * eccentricity * eccentricity * Math.sin(2 * M)
+        );
+
+        return { declination: this.toDeg(declination), equationOfTime };
+    }
+
+    // 대기 굴절 보정(°) - NOAA 근사식
+    refraction(elevation) {
+        if (elevation > 85) return 0;
+
+        const tanE = Math.tan(this.toRad(elevation));
+        let seconds;
+        if (elevation > 5) {
+            seconds = 58.1 / tanE - 0.07 / tanE ** 3 + 0.000086 / tanE ** 5;
+        } else if (elevation > -0.575) {
+            seconds = 1735 + elevation * (-518.2 + elevation * (103.4 + elevation * (-12.79 + elevation * 0.711)));
+        } else {
+            seconds = -20.774 / tanE;
+        }
+        return seconds / 3600;
+    }
+
+    // 주어진 시각의 태양 방위각(북쪽 기준 시계방향, °)과 고도(굴절 보정, °)
+    getPosition(date) {
+        const { declination, equationOfTime } = this.getSolarParameters(date);
+
+        const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+        const trueSolarTime = ((utcMinutes + equationOfTime + 4 * this.lon) % 1440 + 1440) % 1440;
+        const hourAngle = this.toRad(trueSolarTime / 4 - 180);
+
+        const lat = this.toRad(this.lat);
+        const dec = this.toRad(declination);
+
+        const cosZenith = Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(hourAngle);
+        const zenith = Math.acos(Math.min(1, Math.max(-1, cosZenith)));
+        const geometricElevation = 90 - this.toDeg(zenith);
+
+        const azimuth = (this.toDeg(Math.atan2(
+            Math.sin(hourAngle),
+            Math.cos(hourAngle) * Math.sin(lat) - Math.tan(dec) * Math.cos(lat)
+        )) + 180 + 360) % 360;
+
+        return {
+            azimuth,
+            elevation: geometricElevation + this.refraction(geometricElevation),
+            declination,
+            equationOfTime
+        };
+    }
+
+    // 하루의 일출/남중/일몰 시각 (dayStart: 해당 날짜 00:00 UTC)
+    // 백야·극야로 일출/일몰이 없으면 null
+    getSunTimes(dayStart) {
+        const approxNoon = new Date(dayStart.getTime() + (720 - 4 * this.lon) * 60000);
+        const { declination, equationOfTime } = this.getSolarParameters(approxNoon);
+        const solarNoon = new Date(dayStart.getTime() + (720 - 4 * this.lon - equationOfTime) * 60000);
+
+        // 일출/일몰: 태양 중심 고도 -0.833° (굴절 + 시반경)
+        const lat = this.toRad(this.lat);
+        const dec = this.toRad(declination);
+        const cosHourAngle = Math.cos(this.toRad(90.833)) / (Math.cos(lat) * Math.cos(dec)) -
+            Math.tan(lat) * Math.tan(dec);
+
+        if (cosHourAngle < -1 || cosHourAngle > 1) {
+            return { sunrise: null, solarNoon, sunset: null };
+        }
+
+        const halfDayMinutes = 4 * this.toDeg(Math.acos(cosHourAngle));
+        return {
+            sunrise: new Date(solarNoon.getTime() - halfDayMinutes * 60000),
+            solarNoon,
+            sunset: new Date(solarNoon.getTime() + halfDayMinutes * 60000)
+        };
+    }
+}
+
+// =====================================
+// 천리안 위성 영상 오버레이 클래스
+// =====================================
+class SatelliteImageOverlay {
+    constructor(scene, proxyUrl, geoService) {
+        this.scene = scene;
+        this.geoService = geoService;
+        this.baseUrl = `${proxyUrl}/satellite`; // 프록시 서버가 API 키 주입
+        this.overlayPlane = null;
+        this.currentImage = null;
+        this.updateInterval = 10 * 60 * 1000; // 10분
+        this.enabled = true;
+        
+        // 위성 영상 타입
+        this.imageTypes = {
+            daynight: 'Day/Night RGB',
+            natural: 'Natural Color',
+            ir105: 'Infrared 10.5μm',
+            wv069: 'Water Vapor 6.9μm'
+        };
+        this.currentType = 'daynight';
+        
+        // 영상 종류별 요청 경로 (한반도 영역)
+        this.products = {
+            daynight: { path: 'rgbImg/latest', params: { rgb_type: 'daynight' } },
+            natural: { path: 'rgbImg/latest', params: { rgb_type: 'natural' } },
+            ir105: { path: 'chnImg/latest', params: { channel: 'ir105' } },
+            wv069: { path: 'chnImg/latest', params: { channel: 'wv069' } }
+        };
+        
+        // 원본 영상 좌표계: 천리안 2A호 한반도(KO) 영역 LCC, 원점(38°N 126°E)이 영상 중심
+        // 채널별 해상도가 달라도(IR 2km 900px, RGB 1km 1800px) 범위는 같으므로 픽셀 크기는 영상 크기로 계산
+        this.imageGeoref = {
+            projection: { standardLat1: 30, standardLat2: 60, originLat: 38, originLon: 126 },
+            upperLeft: { x: -900000, y: 900000 }, // m
+            width: 1800000,
+            height: 1800000
+        };
+        
+        // 잘라낼 범위: 지형 모델 범위 + 여백 (EPSG:5186, m)
+        this.cropMargin = 30000;
+        this.cropResolution = 256;
+        this.coverage = this.getCropExtent();
+        this.sourceImage = null;  // 원본 영상 ImageData
+        this.croppedImage = null; // 산청군 범위로 재투영한 ImageData
+        this.isMock = true;
+        this.onUpdate = null;     // 오버레이 갱신 후 호출
+        
+        // 적외 영상 밝기 → 휘도온도 (°C), 흰색(255)일수록 차가운 운정
+        this.irCalibration = { coldTemp: -90, warmTemp: 40 };
+        
+        // 지형 모델 좌표 등록 시 재배치
+        this.geoService.onChange(() => this.updatePlacement());
+    }
+    
+    getCropExtent() {
+        const { minE, minN, maxE, maxN } = this.geoService.modelExtent;
+        return {
+            minE: minE - this.cropMargin,
+            minN: minN - this.cropMargin,
+            maxE: maxE + this.cropMargin,
+            maxN: maxN + this.cropMargin
+        };
+    }
+    
+    // Mock 위성 영상 생성 (API 실패 시)
+    generateMockSatelliteTexture() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 512;
+        const ctx = canvas.getContext('2d');
+        
+        // 그라디언트 배경 (구름 효과)
+        const gradient = ctx.createRadialGradient(256, 256, 50, 256, 256, 300);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
+        gradient.addColorStop(0.5, 'rgba(200, 220, 255, 0.5)');
+        gradient.addColorStop(1, 'rgba(150, 180, 220, 0.2)');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 512, 512);
+        
+        // 랜덤 구름 패턴
+        for (let i = 0; i < 20; i++) {
+            const x = Math.random() * 512;
+            const y = Math.random() * 512;
+            const radius = Math.random() * 50 + 30;
+            const cloudGradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+            cloudGradient.addColorStop(0, 'rgba(255, 255, 255, 0.7)');
+            cloudGradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+            ctx.fillStyle = cloudGradient;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        const texture = new THREE.CanvasTexture(canvas);
+        return texture;
+    }
+    
+    // 위성 영상 다운로드 (프록시 경유) → 산청군 범위로 재투영한 텍스처
+    async fetchSatelliteImage(type = 'daynight') {
+        try {
             // 수신 중 상태 표시
             this.updateStatus('receiving');
-            
-            // CORS 이슈로 인해 Mock 데이터 사용
             console.log(`🛰️ 위성 영상 로드 시도: ${type}`);
             
-            // 실제 API 호출 (CORS 프록시 필요)
-            // const url = `${this.baseUrl}/rgbImg/latest?api_key=${this.apiKey}&area=ko&rgb_type=${type}`;
-            // const response = await fetch(url);
+            this.sourceImage = await this.requestImage(type);
+            this.croppedImage = this.reprojectToCoverage(this.sourceImage);
+            this.isMock = false;
             
-            // 수신 시뮬레이션 (1초 딜레이)
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            const canvas = document.createElement('canvas');
+            canvas.width = this.croppedImage.width;
+            canvas.height = this.croppedImage.height;
+            canvas.getContext('2d').putImageData(this.croppedImage, 0, 0);
             
-            // Mock 텍스처 생성
-            const texture = this.generateMockSatelliteTexture();
-            console.log('✅ Mock 위성 영상 생성 완료');
+            console.log(`✅ 위성 영상 수신 완료 (${this.sourceImage.width}×${this.sourceImage.height} → 산청군 ${canvas.width}×${canvas.height})`);
             
             // 완료 상태 표시
             this.updateStatus('complete');
             
-            return texture;
+            return new THREE.CanvasTexture(canvas);
             
         } catch (error) {
             console.warn('위성 영상 로드 실패, Mock 데이터 사용:', error);
+            this.sourceImage = null;
+            this.croppedImage = null;
+            this.isMock = true;
             this.updateStatus('error');
             return this.generateMockSatelliteTexture();
         }
     }
     
+    // 영상 요청 → 원본 ImageData
+    async requestImage(type, extraParams = {}) {
+        const product = this.products[type];
+        if (!product) throw new Error(`알 수 없는 영상 종류: ${type}`);
+        
+        const params = new URLSearchParams({ area: 'ko', ...product.params, ...extraParams });
+        const response = await fetch(`${this.baseUrl}/${product.path}?${params}`);
+        const contentType = response.headers.get('content-type') || '';
+        
+        if (!response.ok || !contentType.startsWith('image/')) {
+            throw new Error(`위성 영상 응답 오류 (${response.status}, ${contentType || '형식 없음'})`);
+        }
+        
+        const bitmap = await createImageBitmap(await response.blob());
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+    
+    // 위경도 → 원본 영상 픽셀 좌표 (연속값)
+    latLonToImagePixel(lat, lon, image) {
+        const { projection, upperLeft, width, height } = this.imageGeoref;
+        const { x, y } = this.geoService.latLonToLCC(lat, lon, projection);
+        return {
+            col: (x - upperLeft.x) / width * image.width - 0.5,
+            row: (upperLeft.y - y) / height * image.height - 0.5
+        };
+    }
+    
+    // 적외 10.5μm 휘도온도 분포 (산청군 범위, °C)
+    async fetchBrightnessTemperature(extraParams = {}) {
+        let image = this.currentType === 'ir105' && Object.keys(extraParams).length === 0 ? this.croppedImage : null;
+        if (!image) {
+            image = this.reprojectToCoverage(await this.requestImage('ir105', extraParams));
+        }
+        
+        return {
+            temperatures: this.toBrightnessTemperature(image),
+            width: image.width,
+            height: image.height,
+            extent: this.coverage
+        };
+    }
+    
+    // 회색조 적외 영상 → 휘도온도 (투명 픽셀은 NaN)
+    toBrightnessTemperature(image) {
+        const { coldTemp, warmTemp } = this.irCalibration;
+        const temperatures = new Float32Array(image.width * image.height);
+        
+        for (let i = 0; i < temperatures.length; i++) {
+            const r = image.data[i * 4];
+            const g = image.data[i * 4 + 1];
+            const b = image.data[i * 4 + 2];
+            const alpha = image.data[i * 4 + 3];
+            const gray = (r + g + b) / 3;
+            temperatures[i] = alpha === 0 ? NaN : warmTemp + (coldTemp - warmTemp) * gray / 255;
+        }
+        
+        return temperatures;
+    }
+    
+    // 원본 LCC 영상을 잘라낼 범위(TM 격자)로 재투영 (쌍선형 보간)
+    reprojectToCoverage(image) {
+        const size = this.cropResolution;
+        const output = new ImageData(size, size);
+        const { minE, minN, maxE, maxN } = this.coverage;
+        const src = image.data;
+        
+        for (let j = 0; j < size; j++) {
+            const northing = maxN - (j + 0.5) / size * (maxN - minN);
+            
+            for (let i = 0; i < size; i++) {
+                const easting = minE + (i + 0.5) / size * (maxE - minE);
+                const { lat, lon } = this.geoService.tmToLatLon(easting, northing);
+                const { col, row } = this.latLonToImagePixel(lat, lon, image);
+                
+                const c0 = Math.max(0, Math.min(image.width - 1, Math.floor(col)));
+                const r0 = Math.max(0, Math.min(image.height - 1, Math.floor(row)));
+                const c1 = Math.min(image.width - 1, c0 + 1);
+                const r1 = Math.min(image.height - 1, r0 + 1);
+                const fx = Math.max(0, Math.min(1, col - c0));
+                const fy = Math.max(0, Math.min(1, row - r0));
+                
+                const out = (j * size + i) * 4;
+                for (let k = 0; k < 4; k++) {
+                    const top = src[(r0 * image.width + c0) * 4 + k] * (1 - fx) + src[(r0 * image.width + c1) * 4 + k] * fx;
+                    const bottom = src[(r1 * image.width + c0) * 4 + k] * (1 - fx) + src[(r1 * image.width + c1) * 4 + k] * fx;
+                    output.data[out + k] = top * (1 - fy) + bottom * fy;
+                }
+            }
+        }
+        
+        return output;
+    }
+    
     // 수신 상태 업데이트
     updateStatus(status) {
         const statusElement = document.getElementById('satelliteStatus');
@@ -285,7 +1642,7 @@ class SatelliteImageOverlay {
         
         const texture = await this.fetchSatelliteImage(this.currentType);
         
-        const geometry = new THREE.PlaneGeometry(80, 80);
+        const geometry = new THREE.PlaneGeometry(1, 1);
         const material = new THREE.MeshBasicMaterial({
             map: texture,
             transparent: true,
@@ -295,15 +1652,26 @@ class SatelliteImageOverlay {
         
         this.overlayPlane = new THREE.Mesh(geometry, material);
         this.overlayPlane.rotation.x = -Math.PI / 2;
-        this.overlayPlane.position.y = 15; // 지형 위
         this.overlayPlane.name = 'satelliteOverlay';
+        this.updatePlacement();
         
         this.scene.add(this.overlayPlane);
         console.log('✅ 위성 영상 오버레이 추가됨');
         
+        if (this.onUpdate) this.onUpdate(this);
+        
         return this.overlayPlane;
     }
     
+    // 영상 범위에 맞춰 오버레이 위치/크기 설정
+    updatePlacement() {
+        if (!this.overlayPlane) return;
+        
+        const rect = this.geoService.extentToSceneRect(this.coverage);
+        this.overlayPlane.scale.set(rect.width, rect.depth, 1);
+        this.overlayPlane.position.set(rect.center.x, 15, rect.center.z); // 지형 위
+    }
+    
     // 자동 업데이트 시작
     startAutoUpdate() {
         this.enabled = true;
@@ -353,11 +1721,229 @@ class SatelliteImageOverlay {
 }
 
 // =====================================
-// 호우 구역 자동 감지 시스템
+// 레이더 합성(HSR) 강수 레이어
 // =====================================
-class HeavyRainDetector {
-    constructor(scene) {
+class RadarPrecipitationLayer {
+    constructor(scene, proxyUrl, geoService) {
         this.scene = scene;
+        this.geoService = geoService;
+        this.baseUrl = `${proxyUrl}/radar`;
+        this.updateInterval = 5 * 60 * 1000; // HSR 5분 간격
+        this.publishDelayMinutes = 10;       // 관측 후 자료 생성까지 지연
+        this.maxRetrySlots = 2;
+        this.enabled = true;
+        
+        // Z-R 관계 Z = a·R^b (Marshall-Palmer)
+        this.zr = { a: 200, b: 1.6 };
+        this.minRainRate = 0.1; // mm/h 미만은 무강수
+        
+        this.resolution = 128; // 지형 범위 재표본 격자
+        this.grid = null;
+        this.field = null;
+        this.observedAt = null;
+        this.onUpdate = null;
+        
+        this.mesh = null;
+        this.model = null;
+        this.floodMapper = null;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.resolution;
+        this.canvas.height = this.resolution;
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.magFilter = THREE.NearestFilter;
+        
+        // 강우강도 색상 (mm/h 이상)
+        this.colorScale = [
+            { rate: 0.1, color: [135, 217, 255] },
+            { rate: 1, color: [0, 140, 255] },
+            { rate: 5, color: [0, 200, 80] },
+            { rate: 10, color: [255, 230, 0] },
+            { rate: 20, color: [255, 140, 0] },
+            { rate: 30, color: [255, 50, 0] },
+            { rate: 50, color: [200, 0, 160] },
+            { rate: 70, color: [80, 0, 170] }
+        ];
+    }
+    
+    // 반사도(dBZ) → 강우강도(mm/h)
+    dbzToRainRate(dbz) {
+        const z = Math.pow(10, dbz / 10);
+        return Math.pow(z / this.zr.a, 1 / this.zr.b);
+    }
+    
+    // 요청 관측시각 (KST YYYYMMDDHHmm, 5분 단위)
+    getRadarTime(slotsBack = 0, now = new Date()) {
+        const kst = new Date(now.getTime() + 9 * 3600000 - this.publishDelayMinutes * 60000);
+        kst.setUTCMinutes(Math.floor(kst.getUTCMinutes() / 5) * 5 - slotsBack * 5, 0, 0);
+        return kst.toISOString().slice(0, 16).replace(/[-T:]/g, '');
+    }
+    
+    // 합성 격자 요청 (자료가 없으면 이전 시각 재시도)
+    async fetchComposite() {
+        for (let slot = 0; slot <= this.maxRetrySlots; slot++) {
+            const time = this.getRadarTime(slot);
+            try {
+                const response = await fetch(`${this.baseUrl}/hsr?time=${time}`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                
+                const composite = await response.json();
+                if (!Array.isArray(composite.dbz) || composite.dbz.length !== composite.width * composite.height) {
+                    throw new Error('격자 크기 불일치');
+                }
+                return composite;
+            } catch (error) {
+                console.warn(`레이더 합성 자료 없음 (${time}):`, error.message);
+            }
+        }
+        
+        return null;
+    }
+    
+    // 레이더 격자(LCC) → 지형 범위 격자(TM)로 재표본, dBZ → mm/h
+    resample(composite) {
+        const size = this.resolution;
+        const extent = this.geoService.modelExtent;
+        const rainRate = new Float32Array(size * size);
+        const noData = composite.noData ?? -999;
+        
+        for (let row = 0; row < size; row++) {
+            const northing = extent.maxN - (row + 0.5) / size * (extent.maxN - extent.minN);
+            
+            for (let col = 0; col < size; col++) {
+                const easting = extent.minE + (col + 0.5) / size * (extent.maxE - extent.minE);
+                const { lat, lon } = this.geoService.tmToLatLon(easting, northing);
+                const { x, y } = this.geoService.latLonToLCC(lat, lon, composite.projection);
+                
+                const gridCol = Math.floor((x - composite.upperLeft.x) / composite.cellSize);
+                const gridRow = Math.floor((composite.upperLeft.y - y) / composite.cellSize);
+                if (gridCol < 0 || gridRow < 0 || gridCol >= composite.width || gridRow >= composite.height) continue;
+                
+                const dbz = composite.dbz[gridRow * composite.width + gridCol];
+                if (dbz === null || dbz === noData) continue;
+                
+                const rate = this.dbzToRainRate(dbz);
+                rainRate[row * size + col] = rate >= this.minRainRate ? rate : 0;
+            }
+        }
+        
+        return { rainRate, width: size, height: size, extent };
+    }
+    
+    getColor(rate) {
+        let color = null;
+        for (const step of this.colorScale) {
+            if (rate >= step.rate) color = step.color;
+        }
+        return color;
+    }
+    
+    // 강우강도 색상 텍스처 (북쪽이 위)
+    updateTexture() {
+        const ctx = this.canvas.getContext('2d');
+        const image = ctx.createImageData(this.grid.width, this.grid.height);
+        
+        for (let i = 0; i < this.grid.rainRate.length; i++) {
+            const color = this.getColor(this.grid.rainRate[i]);
+            if (!color) continue;
+            image.data.set([...color, 200], i * 4);
+        }
+        
+        ctx.putImageData(image, 0, 0);
+        this.texture.needsUpdate = true;
+    }
+    
+    // 지형 표면을 따라가는 메시 (모델 자식)
+    attachToTerrain(model, floodMapper) {
+        this.model = model;
+        this.floodMapper = floodMapper;
+        
+        // 지형과 겹쳐 깜빡이지 않도록 고도 범위의 0.4% 위에 표시
+        let minHeight = Infinity;
+        let maxHeight = -Infinity;
+        floodMapper.heights.forEach(h => {
+            if (Number.isNaN(h)) return;
+            minHeight = Math.min(minHeight, h);
+            maxHeight = Math.max(maxHeight, h);
+        });
+        const offset = (maxHeight - minHeight) * 0.004;
+        const material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            transparent: true,
+            opacity: 0.7,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        
+        this.mesh = new THREE.Mesh(floodMapper.createSurfaceGeometry(offset), material);
+        this.mesh.name = 'radarOverlay';
+        this.mesh.visible = this.enabled && this.grid !== null;
+        model.add(this.mesh);
+    }
+    
+    // 최신 합성 자료 반영
+    async update(villages) {
+        const composite = await this.fetchComposite();
+        
+        if (!composite) {
+            this.grid = null;
+            this.field = null;
+            if (this.mesh) this.mesh.visible = false;
+            this.updateStatus();
+            if (this.onUpdate) this.onUpdate(null);
+            return null;
+        }
+        
+        this.grid = this.resample(composite);
+        this.observedAt = composite.time;
+        this.field = new RadarRainfallField(this.grid, this.geoService, villages, composite.time);
+        this.updateTexture();
+        if (this.mesh) this.mesh.visible = this.enabled;
+        this.updateStatus();
+        
+        console.log(`📡 레이더 합성 갱신 (${composite.time}): 최대 ${this.field.max.rainfall}mm/h (${this.field.max.name})`);
+        if (this.onUpdate) this.onUpdate(this.field);
+        return this.field;
+    }
+    
+    startAutoUpdate(villages) {
+        this.update(villages);
+        this.intervalId = setInterval(() => this.update(villages), this.updateInterval);
+        console.log('✅ 레이더 합성 자동 업데이트 시작 (5분 주기)');
+    }
+    
+    stopAutoUpdate() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+        }
+    }
+    
+    toggle() {
+        this.enabled = !this.enabled;
+        if (this.mesh) this.mesh.visible = this.enabled && this.grid !== null;
+        return this.enabled;
+    }
+    
+    updateStatus() {
+        const element = document.getElementById('radarStatus');
+        if (!element) return;
+        
+        if (!this.field) {
+            element.textContent = '자료 없음';
+            return;
+        }
+        
+        const t = this.observedAt;
+        element.textContent = `${t.slice(8, 10)}:${t.slice(10, 12)} KST · 최대 ${this.field.max.rainfall}mm/h (${this.field.max.name})`;
+    }
+}
+
+// =====================================
+// 호우 구역 자동 감지 시스템
+// =====================================
+class HeavyRainDetector {
+    constructor(scene, geoService) {
+        this.scene = scene;
+        this.geoService = geoService;
         this.warningMarkers = [];
         this.alertLevel = 'SAFE';
         this.detectionEnabled = true;
@@ -369,6 +1955,11 @@ class HeavyRainDetector {
             WARNING: { rainfall: 30, color: 0xff8844, icon: '🚨' },
             CRITICAL: { rainfall: 50, color: 0xff4444, icon: '🆘' }
         };
+        
+        // 대류운 운정온도 기준 (°C) - WATCH 이하 픽셀을 대류 세포로 묶음
+        this.cloudTopThresholds = { WATCH: -52, WARNING: -60, CRITICAL: -70 };
+        this.minCellArea = 20; // km², 이보다 작은 세포는 잡음으로 간주
+        this.convectiveCells = [];
     }
     
     // 강수량 기반 호우 위험도 분석
@@ -387,24 +1978,136 @@ class HeavyRainDetector {
         return level;
     }
     
-    // Mock 구름 데이터 생성 (실제로는 위성 데이터 분석)
-    generateMockCloudData(rainfallIntensity) {
-        const clouds = [];
-        const count = Math.floor(rainfallIntensity / 10) + 3;
-        
-        for (let i = 0; i < count; i++) {
-            clouds.push({
-                lat: 35.4 + (Math.random() - 0.5) * 0.2,
-                lon: 127.87 + (Math.random() - 0.5) * 0.2,
-                height: 8000 + Math.random() * 6000, // 8-14km
-                temperature: -40 - Math.random() * 30, // -40~-70°C
-                intensity: rainfallIntensity * (0.8 + Math.random() * 0.4),
-                x: (Math.random() - 0.5) * 40,
-                z: (Math.random() - 0.5) * 40
+    // 휘도온도 분포에서 차가운 운정 영역을 대류 세포로 묶기 (8방향 연결)
+    findConvectiveCells({ temperatures, width, height, extent }) {
+        const threshold = this.cloudTopThresholds.WATCH;
+        const cellWidth = (extent.maxE - extent.minE) / width;
+        const cellHeight = (extent.maxN - extent.minN) / height;
+        const pixelArea = cellWidth * cellHeight / 1e6; // km²
+        
+        const visited = new Uint8Array(width * height);
+        const stack = [];
+        const cells = [];
+        
+        for (let start = 0; start < temperatures.length; start++) {
+            if (visited[start] || !(temperatures[start] <= threshold)) continue;
+            
+            // 영역 채우기 - 운정이 차가울수록 큰 가중치로 중심 계산
+            let count = 0;
+            let minTemp = Infinity;
+            let weightSum = 0;
+            let sumX = 0;
+            let sumY = 0;
+            visited[start] = 1;
+            stack.push(start);
+            
+            while (stack.length > 0) {
+                const index = stack.pop();
+                const x = index % width;
+                const y = Math.floor(index / width);
+                const temp = temperatures[index];
+                const weight = threshold - temp + 1;
+                
+                count++;
+                minTemp = Math.min(minTemp, temp);
+                weightSum += weight;
+                sumX += (x + 0.5) * weight;
+                sumY += (y + 0.5) * weight;
+                
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                        const neighbor = ny * width + nx;
+                        if (visited[neighbor] || !(temperatures[neighbor] <= threshold)) continue;
+                        visited[neighbor] = 1;
+                        stack.push(neighbor);
+                    }
+                }
+            }
+            
+            const area = count * pixelArea;
+            if (area < this.minCellArea) continue;
+            
+            const easting = extent.minE + (sumX / weightSum) * cellWidth;
+            const northing = extent.maxN - (sumY / weightSum) * cellHeight;
+            const { lat, lon } = this.geoService.tmToLatLon(easting, northing);
+            
+            cells.push({
+                lat,
+                lon,
+                easting,
+                northing,
+                area: Math.round(area),
+                minTemp: Math.round(minTemp * 10) / 10,
+                level: this.getLevelForCloudTop(minTemp)
             });
         }
         
-        return clouds;
+        // 운정이 차가운(강한) 세포부터
+        return cells.sort((a, b) => a.minTemp - b.minTemp);
+    }
+    
+    // 운정온도의 경보 단계
+    getLevelForCloudTop(temperature) {
+        if (temperature <= this.cloudTopThresholds.CRITICAL) return 'CRITICAL';
+        if (temperature <= this.cloudTopThresholds.WARNING) return 'WARNING';
+        if (temperature <= this.cloudTopThresholds.WATCH) return 'WATCH';
+        return 'SAFE';
+    }
+    
+    // 적외 영상 분석 → 대류 세포 마커 갱신
+    async detectConvectiveCells(satelliteOverlay) {
+        if (!this.detectionEnabled) return [];
+        
+        let field;
+        try {
+            field = await satelliteOverlay.fetchBrightnessTemperature();
+        } catch (error) {
+            console.warn('적외 영상 분석 불가 (영상 없음):', error.message);
+            this.convectiveCells = [];
+            this.clearMarkers(marker => marker.userData.cell);
+            this.updateConvectiveUI(null);
+            return [];
+        }
+        
+        this.convectiveCells = this.findConvectiveCells(field);
+        this.renderConvectiveCells();
+        this.updateConvectiveUI(this.convectiveCells);
+        
+        console.log(`🌩️ 대류운 분석: ${this.convectiveCells.length}개 세포 (기준 ${this.cloudTopThresholds.WATCH}°C)`);
+        return this.convectiveCells;
+    }
+    
+    // 대류 세포 위치에 면적 크기의 경고 마커 표시
+    renderConvectiveCells() {
+        this.clearMarkers(marker => marker.userData.cell);
+        
+        const sceneScale = this.geoService.getSceneScale();
+        this.convectiveCells.forEach(cell => {
+            const position = this.geoService.latLonToScene(cell.lat, cell.lon);
+            const marker = this.createWarningMarker(position, cell.area, cell.level);
+            const radius = Math.max(0.3, Math.sqrt(cell.area * 1e6 / Math.PI) * sceneScale);
+            marker.scale.x = radius;
+            marker.scale.z = radius;
+            marker.userData.cell = cell;
+            marker.userData.location = `대류운 ${cell.minTemp}°C, ${cell.area}km²`;
+        });
+    }
+    
+    // 대류운 분석 결과 표시
+    updateConvectiveUI(cells) {
+        const element = document.getElementById('convectiveCells');
+        if (!element) return;
+        
+        if (!cells) {
+            element.textContent = '적외 영상 없음';
+        } else if (cells.length === 0) {
+            element.textContent = '없음';
+        } else {
+            element.textContent = `${cells.length}개 (최저 ${cells[0].minTemp}°C, ${cells[0].area}km²)`;
+        }
     }
     
     // 3D 경고 마커 생성
@@ -443,7 +2146,7 @@ class HeavyRainDetector {
             scale += direction * 0.02;
             if (scale >= 1.3 || scale <= 0.9) direction *= -1;
             
-            marker.scale.set(1, scale, 1);
+            marker.scale.y = scale;
             
             if (this.warningMarkers.includes(marker)) {
                 requestAnimationFrame(animate);
@@ -453,25 +2156,40 @@ class HeavyRainDetector {
         animate();
     }
     
-    // 기존 마커 제거
-    clearMarkers() {
-        this.warningMarkers.forEach(marker => {
+    // 기존 마커 제거 (filter 지정 시 해당 마커만)
+    clearMarkers(filter = () => true) {
+        this.warningMarkers = this.warningMarkers.filter(marker => {
+            if (!filter(marker)) return true;
             this.scene.remove(marker);
             marker.geometry.dispose();
             marker.material.dispose();
+            return false;
         });
-        this.warningMarkers = [];
     }
     
-    // 호우 감지 실행
-    detectHeavyRain(currentRainfall) {
+    // 호우 감지 실행 (rainfallField: 지점별 강수 공간 분포, 있으면 국지 호우 반영)
+    detectHeavyRain(currentRainfall, rainfallField = null) {
         if (!this.detectionEnabled) return;
         
-        // 기존 마커 제거
-        this.clearMarkers();
+        // 기존 지점 마커 제거 (대류운 마커는 위성 분석 시 갱신)
+        this.clearMarkers(marker => !marker.userData.cell);
+        
+        // 군 대표값과 지점 최대값 중 큰 값으로 위험도 분석
+        const localMax = rainfallField ? rainfallField.max : null;
+        const peakRainfall = Math.max(currentRainfall, localMax ? localMax.rainfall : 0);
+        const level = this.analyzeRainfallRisk(peakRainfall);
         
-        // 위험도 분석
-        const level = this.analyzeRainfallRisk(currentRainfall);
+        // 주의 이상 지점에 경고 마커 표시
+        if (rainfallField) {
+            rainfallField.samples.forEach(sample => {
+                const sampleLevel = this.getLevelForRainfall(sample.rainfall);
+                if (sampleLevel === 'SAFE') return;
+                
+                const position = this.geoService.latLonToScene(sample.lat, sample.lon);
+                const marker = this.createWarningMarker(position, sample.rainfall, sampleLevel);
+                marker.userData.location = sample.name;
+            });
+        }
         
         // 구름 색상 업데이트 (와이어프레임 마커 대신)
         if (window.cloud3DParticles) {
@@ -479,13 +2197,21 @@ class HeavyRainDetector {
         }
         
         // UI 카드 업데이트
-        this.updateAlertCard(level, currentRainfall);
+        this.updateAlertCard(level, peakRainfall, localMax && localMax.rainfall > currentRainfall ? localMax.name : null);
         
-        console.log(`🌩️ 호우 감지: ${level} - 강수량: ${currentRainfall.toFixed(1)}mm/h`);
+        console.log(`🌩️ 호우 감지: ${level} - 강수량: ${peakRainfall.toFixed(1)}mm/h${localMax ? ` (최대 지점: ${localMax.name})` : ''}`);
+    }
+    
+    // 단일 강수량의 경보 단계 (예보 미반영)
+    getLevelForRainfall(rainfall) {
+        if (rainfall >= this.thresholds.CRITICAL.rainfall) return 'CRITICAL';
+        if (rainfall >= this.thresholds.WARNING.rainfall) return 'WARNING';
+        if (rainfall >= this.thresholds.WATCH.rainfall) return 'WATCH';
+        return 'SAFE';
     }
     
     // 경보 카드 UI 업데이트
-    updateAlertCard(level, rainfall) {
+    updateAlertCard(level, rainfall, location = null) {
         const card = document.getElementById('rainfall-alert-card');
         if (!card) return;
         
@@ -500,7 +2226,9 @@ class HeavyRainDetector {
         
         // 텍스트 업데이트
         levelText.textContent = level;
-        valueText.textContent = `${rainfall.toFixed(1)} mm/h`;
+        valueText.textContent = location
+            ? `${rainfall.toFixed(1)} mm/h (${location})`
+            : `${rainfall.toFixed(1)} mm/h`;
         
         let message = '';
         if (level === 'CRITICAL') {
@@ -563,110 +2291,165 @@ class HeavyRainDetector {
 // 24시간 위성 영상 타임랩스
 // =====================================
 class SatelliteTimelapse {
-    constructor(scene, satelliteOverlay) {
+    constructor(scene, satelliteOverlay, { storageKey = 'timelapse-history' } = {}) {
         this.scene = scene;
         this.satelliteOverlay = satelliteOverlay;
+        this.storageKey = storageKey;
         this.isPlaying = false;
         this.currentIndex = 0;
-        this.images = [];
+        this.frames = [];
         this.totalHours = 24;
         this.fps = 2; // 초당 2프레임
-        
-        // Mock 24시간 데이터 생성
-        this.generateMock24HourData();
+        this.isViewingPast = false; // 과거 시점 표시 중
+        this.liveTexture = null;    // 과거 시점 진입 전 위성 텍스처
+        this.frameRequest = 0;      // 프레임 요청 번호 (텍스처 로딩 중 다른 프레임/현재 복귀 시 이전 요청 무시)
+        this.onRestore = null;      // (snapshot, frame) => void, 과거 장면 복원
+        this.onExit = null;         // () => void, 현재 장면 복귀
+        
+        // 매시 장면 기록 { time: 정시(ms), rainfall, totalRainfall, temperature, humidity, alertLevel, floodLevel, samples, cells }
+        this.history = [];
+        this.restore();
+        this.buildFrames();
     }
     
-    // Mock 24시간 위성 영상 데이터 생성
-    generateMock24HourData() {
-        this.images = [];
-        
-        for (let hour = 0; hour < this.totalHours; hour++) {
-            // 시간대별 구름 패턴 변화 시뮬레이션
-            this.images.push({
-                hour: hour,
-                timestamp: new Date(Date.now() - (24 - hour) * 3600000),
-                cloudDensity: this.getCloudDensityByHour(hour),
-                temperature: this.getTemperatureByHour(hour)
+    // 최근 24시간 정시 프레임 (마지막이 현재 정시)
+    buildFrames() {
+        const latestHour = Math.floor(Date.now() / 3600000) * 3600000;
+        const previous = new Map(this.frames.map(frame => [frame.imageTime.getTime(), frame]));
+        
+        this.frames = [];
+        for (let i = 0; i < this.totalHours; i++) {
+            const imageTime = new Date(latestHour - (this.totalHours - 1 - i) * 3600000);
+            const existing = previous.get(imageTime.getTime());
+            
+            this.frames.push({
+                hour: i,
+                imageTime,
+                timestamp: imageTime,
+                cells: existing?.cells ?? null,
+                textures: existing?.textures ?? {} // 영상 종류별 텍스처 캐시
             });
         }
         
-        console.log(`✅ 24시간 타임랩스 데이터 생성 완료 (${this.totalHours}프레임)`);
+        return this.frames;
     }
     
-    // 시간대별 구름 밀도 (0-1)
-    getCloudDensityByHour(hour) {
-        // 오후에 구름 증가 패턴
-        if (hour >= 14 && hour <= 18) {
-            return 0.7 + Math.random() * 0.3; // 70-100%
-        } else if (hour >= 9 && hour <= 20) {
-            return 0.4 + Math.random() * 0.3; // 40-70%
+    // 현재 장면 기록 (같은 정시는 최신 상태로 교체)
+    record(snapshot) {
+        const time = Math.floor(snapshot.time / 3600000) * 3600000;
+        const existing = this.history.findIndex(s => s.time === time);
+        const entry = { ...snapshot, time };
+        
+        if (existing >= 0) {
+            this.history[existing] = { ...this.history[existing], ...entry };
         } else {
-            return 0.2 + Math.random() * 0.2; // 20-40%
+            this.history.push(entry);
+            this.history.sort((a, b) => a.time - b.time);
         }
+        
+        // 24시간 지난 기록 제거
+        const cutoff = time - this.totalHours * 3600000;
+        this.history = this.history.filter(s => s.time > cutoff);
+        this.save();
     }
     
-    // 시간대별 온도
-    getTemperatureByHour(hour) {
-        // 간단한 사인 곡선 (최저 새벽 6시, 최고 오후 2시)
-        const base = 20;
-        const amplitude = 8;
-        const phase = (hour - 6) * (Math.PI / 12);
-        return base + amplitude * Math.sin(phase);
+    getSnapshot(frame) {
+        return this.history.find(s => s.time === frame.imageTime.getTime()) || null;
     }
     
-    // Mock 텍스처 생성 (시간대별)
-    generateTimelapseTexture(hour, cloudDensity) {
-        const canvas = document.createElement('canvas');
-        canvas.width = 512;
-        canvas.height = 512;
-        const ctx = canvas.getContext('2d');
-        
-        // 시간대별 배경색 (낮/밤)
-        let bgColor;
-        if (hour >= 6 && hour < 18) {
-            // 낮: 밝은 파랑
-            const brightness = 150 + (cloudDensity * 50);
-            bgColor = `rgba(${brightness}, ${brightness + 30}, 255, 0.3)`;
-        } else {
-            // 밤: 어두운 파랑
-            const brightness = 50 + (cloudDensity * 30);
-            bgColor = `rgba(${brightness}, ${brightness}, ${brightness + 50}, 0.3)`;
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+        } catch (error) {
+            console.warn('타임랩스 기록 저장 실패:', error);
+        }
+    }
+    
+    restore() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            const cutoff = Date.now() - this.totalHours * 3600000;
+            this.history = saved.filter(s => s.time > cutoff);
+            if (this.history.length > 0) {
+                console.log(`💾 타임랩스 기록 복원: ${this.history.length}시간`);
+            }
+        } catch (error) {
+            this.history = [];
+        }
+    }
+    
+    // 각 프레임 시각의 적외 영상 분석 → 대류 세포 (영상이 없는 프레임은 cells = null)
+    async loadInfraredFrames(detector) {
+        this.buildFrames();
+        let loaded = 0;
+        
+        for (const frame of this.frames) {
+            try {
+                const field = await this.satelliteOverlay.fetchBrightnessTemperature({
+                    date: this.formatImageTime(frame.imageTime)
+                });
+                frame.cells = detector.findConvectiveCells(field);
+                loaded++;
+            } catch (error) {
+                frame.cells = null;
+            }
         }
         
-        ctx.fillStyle = bgColor;
-        ctx.fillRect(0, 0, 512, 512);
-        
-        // 구름 패턴 (밀도에 따라)
-        const cloudCount = Math.floor(cloudDensity * 30);
-        for (let i = 0; i < cloudCount; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const radius = Math.random() * 60 + 20;
-            const opacity = cloudDensity * 0.8;
-            
-            const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
-            gradient.addColorStop(0, `rgba(255, 255, 255, ${opacity})`);
-            gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
-            
-            ctx.fillStyle = gradient;
-            ctx.beginPath();
-            ctx.arc(x, y, radius, 0, Math.PI * 2);
-            ctx.fill();
+        console.log(`🛰️ 타임랩스 적외 영상 분석: ${loaded}/${this.frames.length}프레임`);
+        return loaded;
+    }
+    
+    // 영상 시각 파라미터 (UTC, YYYYMMDDHHmm)
+    formatImageTime(date) {
+        return date.toISOString().slice(0, 16).replace(/[-T:]/g, '');
+    }
+    
+    // 프레임 시각의 위성 영상 (현재 선택된 종류, 프레임별 캐시)
+    async getFrameTexture(frame) {
+        const type = this.satelliteOverlay.currentType;
+        if (!frame.textures[type]) {
+            try {
+                const image = this.satelliteOverlay.reprojectToCoverage(
+                    await this.satelliteOverlay.requestImage(type, { date: this.formatImageTime(frame.imageTime) })
+                );
+                const canvas = document.createElement('canvas');
+                canvas.width = image.width;
+                canvas.height = image.height;
+                canvas.getContext('2d').putImageData(image, 0, 0);
+                frame.textures[type] = new THREE.CanvasTexture(canvas);
+            } catch (error) {
+                frame.textures[type] = this.generateMissingTexture(frame);
+            }
         }
+        return frame.textures[type];
+    }
+    
+    // 영상이 없는 시각 표시용 텍스처
+    generateMissingTexture(frame) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 256;
+        const ctx = canvas.getContext('2d');
         
-        // 시간 표시
+        ctx.fillStyle = 'rgba(40, 40, 60, 0.3)';
+        ctx.fillRect(0, 0, 256, 256);
         ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        ctx.font = 'bold 24px Arial';
-        ctx.fillText(`${hour}:00`, 20, 40);
+        ctx.font = 'bold 20px Arial';
+        ctx.fillText(`${this.formatKSTHour(frame.imageTime)} 영상 없음`, 20, 40);
         
         return new THREE.CanvasTexture(canvas);
     }
     
+    formatKSTHour(date) {
+        return date.toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Seoul' });
+    }
+    
     // 재생 시작
     play() {
         if (this.isPlaying) return;
         
         this.isPlaying = true;
+        this.buildFrames();
         this.currentIndex = 0;
         
         console.log('▶️ 타임랩스 재생 시작');
@@ -674,25 +2457,14 @@ class SatelliteTimelapse {
     }
     
     // 재생 루프
-    playLoop() {
+    async playLoop() {
         if (!this.isPlaying) return;
         
-        // 현재 프레임 표시
-        const frame = this.images[this.currentIndex];
-        const texture = this.generateTimelapseTexture(frame.hour, frame.cloudDensity);
-        
-        // 위성 오버레이 텍스처 업데이트
-        if (this.satelliteOverlay.overlayPlane) {
-            this.satelliteOverlay.overlayPlane.material.map = texture;
-            this.satelliteOverlay.overlayPlane.material.needsUpdate = true;
-        }
-        
-        // UI 업데이트
-        this.updateTimelapseUI(frame);
+        await this.showFrame(this.currentIndex);
         
         // 다음 프레임
         this.currentIndex++;
-        if (this.currentIndex >= this.images.length) {
+        if (this.currentIndex >= this.frames.length) {
             this.currentIndex = 0; // 루프
         }
         
@@ -707,30 +2479,74 @@ class SatelliteTimelapse {
     }
     
     // 특정 시간으로 이동
-    seekToHour(hour) {
+    async seekToHour(hour) {
         this.currentIndex = hour % this.totalHours;
-        const frame = this.images[this.currentIndex];
-        const texture = this.generateTimelapseTexture(frame.hour, frame.cloudDensity);
+        await this.showFrame(this.currentIndex);
+    }
+    
+    // 프레임 시각의 장면 복원 (위성 영상 + 기록된 기상/경보/침수 상태)
+    async showFrame(index) {
+        const frame = this.frames[index];
+        const request = ++this.frameRequest;
+        
+        if (!this.isViewingPast) {
+            this.isViewingPast = true;
+            this.liveTexture = this.satelliteOverlay.overlayPlane?.material.map ?? null;
+        }
         
+        const texture = await this.getFrameTexture(frame);
+        if (request !== this.frameRequest || !this.isViewingPast) return;
+        
+        // 위성 오버레이 텍스처 업데이트
         if (this.satelliteOverlay.overlayPlane) {
             this.satelliteOverlay.overlayPlane.material.map = texture;
             this.satelliteOverlay.overlayPlane.material.needsUpdate = true;
         }
         
-        this.updateTimelapseUI(frame);
+        const snapshot = this.getSnapshot(frame);
+        if (this.onRestore) this.onRestore(snapshot, frame);
+        
+        // UI 업데이트
+        this.updateTimelapseUI(frame, snapshot);
+    }
+    
+    // 현재 장면으로 복귀
+    exitToLive() {
+        this.pause();
+        this.frameRequest++;
+        if (!this.isViewingPast) return;
+        this.isViewingPast = false;
+        
+        if (this.satelliteOverlay.overlayPlane && this.liveTexture) {
+            this.satelliteOverlay.overlayPlane.material.map = this.liveTexture;
+            this.satelliteOverlay.overlayPlane.material.needsUpdate = true;
+        }
+        this.liveTexture = null;
+        
+        if (this.onExit) this.onExit();
+        
+        const timelapseTime = document.getElementById('timelapseTime');
+        const timelapseDetails = document.getElementById('timelapseDetails');
+        if (timelapseTime) timelapseTime.textContent = '현재';
+        if (timelapseDetails) timelapseDetails.textContent = '과거 24시간 장면 기록';
+        console.log('⏹️ 타임랩스 종료 - 현재 장면으로 복귀');
     }
     
     // UI 업데이트
-    updateTimelapseUI(frame) {
+    updateTimelapseUI(frame, snapshot) {
         const timelapseTime = document.getElementById('timelapseTime');
         const timelapseProgress = document.getElementById('timelapseProgress');
+        const timelapseDetails = document.getElementById('timelapseDetails');
         
         if (timelapseTime) {
-            const timeStr = frame.timestamp.toLocaleTimeString('ko-KR', { 
-                hour: '2-digit', 
-                minute: '2-digit' 
-            });
-            timelapseTime.textContent = `${timeStr} (${Math.round(frame.cloudDensity * 100)}% 운량)`;
+            const dateStr = frame.imageTime.toLocaleDateString('ko-KR', { month: '2-digit', day: '2-digit', timeZone: 'Asia/Seoul' });
+            timelapseTime.textContent = `${dateStr} ${this.formatKSTHour(frame.imageTime)}`;
+        }
+        
+        if (timelapseDetails) {
+            timelapseDetails.textContent = snapshot
+                ? `${snapshot.rainfall}mm/h · 누적 ${snapshot.totalRainfall}mm · ${snapshot.alertLevel} · 침수 ${snapshot.floodLevel}%`
+                : '이 시각의 관측 기록 없음';
         }
         
         if (timelapseProgress) {
@@ -739,12 +2555,254 @@ class SatelliteTimelapse {
     }
 }
 
+// =====================================
+// 폭풍 세포 추적 및 이동 외삽
+// =====================================
+class StormCellTracker {
+    constructor(scene, geoService) {
+        this.scene = scene;
+        this.geoService = geoService;
+        this.maxSpeed = 80;             // km/h, 이보다 빠른 이동은 다른 세포로 간주
+        this.maxGapHours = 2;           // 영상이 빠진 프레임 허용
+        this.velocityWindow = 4;        // 이동 속도 계산에 쓰는 최근 위치 수
+        this.nowcastHours = [1, 2, 3];
+        this.impactMargin = 5;          // km, 세포 반경에 더하는 영향 거리
+        this.tracks = [];
+        this.nowcast = [];
+        this.group = new THREE.Group();
+        this.group.name = 'stormTracks';
+        this.scene.add(this.group);
+        
+        this.levelColors = { WATCH: 0xffff44, WARNING: 0xff8844, CRITICAL: 0xff4444 };
+        
+        this.geoService.onChange(() => this.render());
+    }
+    
+    // 프레임별 세포 목록 → 추적 경로 (가까운 세포부터 연결)
+    track(frames) {
+        const tracks = [];
+        let nextId = 1;
+        
+        frames.filter(frame => frame.cells).forEach(frame => {
+            const time = frame.imageTime.getTime();
+            const candidates = [];
+            
+            tracks.forEach(track => {
+                const last = track.points[track.points.length - 1];
+                const dt = (time - last.time) / 3600000;
+                if (dt <= 0 || dt > this.maxGapHours) return;
+                
+                const predicted = this.extrapolate(track, dt);
+                frame.cells.forEach((cell, cellIndex) => {
+                    const distance = Math.hypot(cell.easting - predicted.easting, cell.northing - predicted.northing) / 1000;
+                    if (distance <= this.maxSpeed * dt) {
+                        candidates.push({ track, cellIndex, distance });
+                    }
+                });
+            });
+            
+            candidates.sort((a, b) => a.distance - b.distance);
+            const usedTracks = new Set();
+            const usedCells = new Set();
+            
+            candidates.forEach(({ track, cellIndex }) => {
+                if (usedTracks.has(track) || usedCells.has(cellIndex)) return;
+                usedTracks.add(track);
+                usedCells.add(cellIndex);
+                track.points.push({ ...frame.cells[cellIndex], time });
+            });
+            
+            frame.cells.forEach((cell, cellIndex) => {
+                if (usedCells.has(cellIndex)) return;
+                tracks.push({ id: nextId++, points: [{ ...cell, time }] });
+            });
+        });
+        
+        this.tracks = tracks;
+        return tracks;
+    }
+    
+    // 최근 위치의 최소제곱 이동 속도 (m/h)
+    getVelocity(track) {
+        const points = track.points.slice(-this.velocityWindow);
+        if (points.length < 2) return { east: 0, north: 0 };
+        
+        const t0 = points[0].time;
+        const hours = points.map(p => (p.time - t0) / 3600000);
+        const meanT = hours.reduce((sum, h) => sum + h, 0) / hours.length;
+        const meanE = points.reduce((sum, p) => sum + p.easting, 0) / points.length;
+        const meanN = points.reduce((sum, p) => sum + p.northing, 0) / points.length;
+        
+        let varT = 0;
+        let covE = 0;
+        let covN = 0;
+        points.forEach((p, i) => {
+            const dt = hours[i] - meanT;
+            varT += dt * dt;
+            covE += dt * (p.easting - meanE);
+            covN += dt * (p.northing - meanN);
+        });
+        
+        return varT > 0 ? { east: covE / varT, north: covN / varT } : { east: 0, north: 0 };
+    }
+    
+    // 마지막 위치에서 hours 시간 후 예상 위치
+    extrapolate(track, hours) {
+        const last = track.points[track.points.length - 1];
+        const velocity = this.getVelocity(track);
+        return {
+            easting: last.easting + velocity.east * hours,
+            northing: last.northing + velocity.north * hours
+        };
+    }
+    
+    // 최신 프레임에 남아 있는 세포의 1-3시간 이동 예측 및 마을 영향
+    computeNowcast(villages, latestTime) {
+        this.nowcast = this.tracks
+            .filter(track => track.points.length >= 2 && track.points[track.points.length - 1].time === latestTime)
+            .map(track => {
+                const last = track.points[track.points.length - 1];
+                const velocity = this.getVelocity(track);
+                const speed = Math.hypot(velocity.east, velocity.north) / 1000;
+                const heading = (Math.atan2(velocity.east, velocity.north) * 180 / Math.PI + 360) % 360;
+                const reach = Math.sqrt(last.area / Math.PI) + this.impactMargin;
+                
+                const positions = this.nowcastHours.map(hours => {
+                    const point = this.extrapolate(track, hours);
+                    return { hours, ...point, ...this.geoService.tmToLatLon(point.easting, point.northing) };
+                });
+                
+                // 세포 영향 범위에 처음 들어오는 시각 (현재 포함)
+                const impacts = [];
+                villages.forEach(village => {
+                    const { easting, northing } = this.geoService.latLonToTM(village.lat, village.lon);
+                    const hit = [{ hours: 0, easting: last.easting, northing: last.northing }, ...positions]
+                        .find(p => Math.hypot(p.easting - easting, p.northing - northing) / 1000 <= reach);
+                    if (hit) impacts.push({ name: village.name, hours: hit.hours });
+                });
+                impacts.sort((a, b) => a.hours - b.hours);
+                
+                return {
+                    trackId: track.id,
+                    level: last.level,
+                    minTemp: last.minTemp,
+                    area: last.area,
+                    speed: Math.round(speed),
+                    heading: Math.round(heading),
+                    positions,
+                    impacts
+                };
+            });
+        
+        return this.nowcast;
+    }
+    
+    // 프레임 분석 → 추적 → 외삽 → 표시
+    update(frames, villages) {
+        const analyzed = frames.filter(frame => frame.cells);
+        if (analyzed.length === 0) {
+            this.tracks = [];
+            this.nowcast = [];
+        } else {
+            this.track(frames);
+            this.computeNowcast(villages, analyzed[analyzed.length - 1].imageTime.getTime());
+        }
+        
+        this.render();
+        this.updateUI(analyzed.length);
+        
+        console.log(`🌀 폭풍 세포 추적: ${this.tracks.length}개 경로, 이동 예측 ${this.nowcast.length}개`);
+        return this.nowcast;
+    }
+    
+    // 3D 경로 (실선: 과거 이동, 점선: 외삽)
+    render() {
+        this.group.children.forEach(child => {
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+        this.group.clear();
+        
+        const height = 6; // 경고 마커 상단 부근
+        const toScene = (p) => {
+            const position = this.geoService.tmToScene(p.easting, p.northing);
+            position.y = height;
+            return position;
+        };
+        
+        this.tracks.filter(track => track.points.length >= 2).forEach(track => {
+            const last = track.points[track.points.length - 1];
+            const color = this.levelColors[last.level] ?? 0xffffff;
+            
+            const history = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(track.points.map(toScene)),
+                new THREE.LineBasicMaterial({ color })
+            );
+            history.userData.trackId = track.id;
+            this.group.add(history);
+        });
+        
+        this.nowcast.forEach(cast => {
+            const track = this.tracks.find(t => t.id === cast.trackId);
+            const last = track.points[track.points.length - 1];
+            const color = this.levelColors[cast.level] ?? 0xffffff;
+            
+            const future = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints([last, ...cast.positions].map(toScene)),
+                new THREE.LineDashedMaterial({ color, dashSize: 0.3, gapSize: 0.2 })
+            );
+            future.computeLineDistances();
+            this.group.add(future);
+            
+            // 1시간 간격 예상 위치
+            cast.positions.forEach(p => {
+                const dot = new THREE.Mesh(
+                    new THREE.SphereGeometry(0.15, 8, 8),
+                    new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 1 - p.hours * 0.2 })
+                );
+                dot.position.copy(toScene(p));
+                dot.userData = { trackId: cast.trackId, hours: p.hours };
+                this.group.add(dot);
+            });
+        });
+    }
+    
+    updateUI(analyzedFrames) {
+        const element = document.getElementById('stormNowcast');
+        if (!element) return;
+        
+        if (analyzedFrames === 0) {
+            element.textContent = '적외 영상 없음 - 추적 불가';
+            return;
+        }
+        
+        if (this.nowcast.length === 0) {
+            element.textContent = `이동 중인 대류 세포 없음 (${analyzedFrames}프레임 분석)`;
+            return;
+        }
+        
+        const directions = ['북', '북동', '동', '남동', '남', '남서', '서', '북서'];
+        element.innerHTML = this.nowcast.map(cast => {
+            const direction = directions[Math.round(cast.heading / 45) % 8];
+            const impacts = cast.impacts.length > 0
+                ? cast.impacts.map(i => `${i.name} ${i.hours === 0 ? '현재' : `${i.hours}h`}`).join(', ')
+                : '영향 마을 없음';
+            return `<div class="storm-cast ${cast.level.toLowerCase()}">#${cast.trackId} ${cast.minTemp}°C · ${direction} ${cast.speed}km/h<br>${impacts}</div>`;
+        }).join('');
+    }
+    
+    toggle() {
+        this.group.visible = !this.group.visible;
+    }
+}
+
 // =====================================
 // 3D 구름 파티클 시스템
 // =====================================
 class Cloud3DParticles {
-    constructor(scene) {
+    constructor(scene, geoService) {
         this.scene = scene;
+        this.geoService = geoService;
         this.particleSystem = null;
         this.particleCount = 5000;
         this.enabled = false;
@@ -752,13 +2810,38 @@ class Cloud3DParticles {
         this.shadowCanvas = null;
         this.shadowContext = null;
         this.cloudPositions = [];
+        this.bounds = { minX: -10, maxX: 10, minZ: -10, maxZ: 10 }; // 구름/그림자 영역 (씬 좌표)
+        this.wind = { speed: 0, direction: 0 }; // 관측 풍속(m/s)/풍향(°)
+        this.driftScale = 0.0025; // 풍속 1m/s 당 프레임별 이동량 (씬 단위, 시각화용 가속)
         this.initShadowSystem();
+        
+        // 지형 모델 좌표 등록 시 영역 재설정
+        this.geoService.onChange(() => this.updateBounds());
     }
     
-    // 그림자 시스템 초기화
-    initShadowSystem() {
-        // 512x512 캔버스로 그림자 텍스처 생성
-        this.shadowCanvas = document.createElement('canvas');
+    // 지형 모델 범위로 구름/그림자 영역 설정
+    updateBounds() {
+        const rect = this.geoService.getModelSceneRect();
+        this.bounds = {
+            minX: rect.center.x - rect.width / 2,
+            maxX: rect.center.x + rect.width / 2,
+            minZ: rect.center.z - rect.depth / 2,
+            maxZ: rect.center.z + rect.depth / 2
+        };
+        
+        this.shadowPlane.scale.set(rect.width / 20, rect.depth / 20, 1);
+        this.shadowPlane.position.x = rect.center.x;
+        this.shadowPlane.position.z = rect.center.z;
+        
+        if (this.particleSystem) {
+            this.create3DCloudParticles();
+        }
+    }
+    
+    // 그림자 시스템 초기화
+    initShadowSystem() {
+        // 512x512 캔버스로 그림자 텍스처 생성
+        this.shadowCanvas = document.createElement('canvas');
         this.shadowCanvas.width = 512;
         this.shadowCanvas.height = 512;
         this.shadowContext = this.shadowCanvas.getContext('2d');
@@ -805,9 +2888,10 @@ class Cloud3DParticles {
                 z: -sunDir.z * cloud.y * 0.5
             };
             
-            // 월드 좌표를 캔버스 좌표로 변환 (-10~10 -> 0~512)
-            const canvasX = ((cloud.x + shadowOffset.x + 10) / 20) * canvas.width;
-            const canvasY = ((cloud.z + shadowOffset.z + 10) / 20) * canvas.height;
+            // 월드 좌표를 캔버스 좌표로 변환 (구름 영역 -> 0~512)
+            const { minX, maxX, minZ, maxZ } = this.bounds;
+            const canvasX = ((cloud.x + shadowOffset.x - minX) / (maxX - minX)) * canvas.width;
+            const canvasY = ((cloud.z + shadowOffset.z - minZ) / (maxZ - minZ)) * canvas.height;
             
             // 구름 높이에 따른 그림자 크기와 투명도
             const shadowSize = 3 + cloud.y * 2;
@@ -842,9 +2926,9 @@ class Cloud3DParticles {
         this.cloudPositions = []; // 그림자 계산용
         
         for (let i = 0; i < this.particleCount; i++) {
-            // 산청군 영역 내 랜덤 위치 (모델 범위에 맞춤)
-            const x = (Math.random() - 0.5) * 20;
-            const z = (Math.random() - 0.5) * 20;
+            // 산청군 영역 내 랜덤 위치 (좌표 변환 서비스로 모델 범위에 맞춤)
+            const { lat, lon } = this.geoService.randomLatLonInModel();
+            const { x, z } = this.geoService.latLonToScene(lat, lon);
             
             // 구름 높이 (모델 위쪽 5~15 높이)
             const height = 5 + Math.random() * 10;
@@ -1010,23 +3094,38 @@ class Cloud3DParticles {
         });
     }
     
+    // 관측 바람 반영 (구름 이동 방향/속도)
+    setWind(speed, direction) {
+        this.wind = { speed, direction };
+    }
+    
     // 파티클 애니메이션 (구름 이동)
     animateParticles() {
         if (!this.enabled || !this.particleSystem) return;
         
         const time = Date.now() * 0.0001;
         
+        // 바람이 불어가는 방향 (동쪽 +X, 북쪽 -Z)
+        const { u, v } = windToComponents(this.wind.speed, this.wind.direction);
+        const { minX, maxX, minZ, maxZ } = this.bounds;
+        
         // 각 구름 클러스터 애니메이션
         this.particleSystem.children.forEach((cloudGroup, index) => {
             if (!cloudGroup.userData) return;
             
-            // X축으로 천천히 이동 (바람 효과)
-            cloudGroup.position.x += cloudGroup.userData.speed;
+            // 바람 따라 이동 (구름마다 속도 편차)
+            const userData = cloudGroup.userData;
+            const drift = this.driftScale * userData.speed / 0.014;
+            userData.baseX += u * drift;
+            userData.baseZ -= v * drift;
             
             // 경계 넘어가면 반대편으로
-            if (cloudGroup.position.x > 10) {
-                cloudGroup.position.x = -10;
-            }
+            if (userData.baseX > maxX) userData.baseX -= maxX - minX;
+            if (userData.baseX < minX) userData.baseX += maxX - minX;
+            if (userData.baseZ > maxZ) userData.baseZ -= maxZ - minZ;
+            if (userData.baseZ < minZ) userData.baseZ += maxZ - minZ;
+            
+            cloudGroup.position.x = userData.baseX;
             
             // Y축 살짝 변화 (구름 흔들림 - 더 자연스럽게)
             cloudGroup.position.y = cloudGroup.userData.baseY + 
@@ -1069,6 +3168,39 @@ class Cloud3DParticles {
         requestAnimationFrame(() => this.animateParticles());
     }
     
+    // 구름 배치 기록 (타임랩스 장면용) - 모델 배치가 바뀌어도 복원되도록 위경도 + 높이
+    getCloudState() {
+        if (!this.particleSystem) return [];
+        return this.particleSystem.children.map(cloudGroup => {
+            const { baseX, baseY, baseZ } = cloudGroup.userData;
+            const { lat, lon } = this.geoService.sceneToLatLon(new THREE.Vector3(baseX, baseY, baseZ));
+            return {
+                lat: Math.round(lat * 1e5) / 1e5,
+                lon: Math.round(lon * 1e5) / 1e5,
+                height: Math.round(baseY * 100) / 100
+            };
+        });
+    }
+    
+    // 기록된 구름 배치 복원 (그림자는 다음 프레임에 위치를 따라감), 구름 수가 다르면 있는 만큼만
+    setCloudState(clouds) {
+        if (!this.particleSystem || !clouds) return;
+        this.particleSystem.children.forEach((cloudGroup, i) => {
+            const cloud = clouds[i];
+            if (!cloud) return;
+            const { x, z } = this.geoService.latLonToScene(cloud.lat, cloud.lon);
+            cloudGroup.userData.baseX = x;
+            cloudGroup.userData.baseY = cloud.height;
+            cloudGroup.userData.baseZ = z;
+        });
+    }
+    
+    // 현재 구름 클러스터 위치 (빗줄기 시작점)
+    getClusterPositions() {
+        if (!this.enabled || !this.particleSystem) return [];
+        return this.particleSystem.children.map(cloudGroup => cloudGroup.position);
+    }
+    
     // 표시/숨김
     toggle() {
         if (!this.particleSystem) {
@@ -1086,119 +3218,806 @@ class Cloud3DParticles {
     }
 }
 
+// =====================================
+// 빗줄기 파티클 시스템 (GPU 인스턴싱)
+// =====================================
+class RainParticleSystem {
+    constructor(scene, geoService, { maxDrops = 20000, maxClusters = 32 } = {}) {
+        this.scene = scene;
+        this.geoService = geoService;
+        this.maxDrops = maxDrops;
+        this.maxClusters = maxClusters;
+        this.enabled = true;
+        this.mesh = null;
+        
+        this.conditions = { rainfall: 0, windSpeed: 0, windDirection: 0 };
+        this.bounds = { minX: -10, maxX: 10, minZ: -10, maxZ: 10 }; // 구름이 없을 때 강수 영역 (씬 좌표)
+        this.cloudBase = 6;    // 구름이 없을 때 빗줄기 시작 높이
+        this.groundLevel = -3; // 지형 최저 높이 (이 아래로는 그리지 않음)
+        
+        this.createMesh();
+        
+        // 지형 모델 좌표 등록 시 영역 재설정
+        this.geoService.onChange(() => this.updateBounds());
+    }
+    
+    // 지형 모델 범위로 강수 영역/지면 높이 설정
+    updateBounds() {
+        const rect = this.geoService.getModelSceneRect();
+        this.bounds = {
+            minX: rect.center.x - rect.width / 2,
+            maxX: rect.center.x + rect.width / 2,
+            minZ: rect.center.z - rect.depth / 2,
+            maxZ: rect.center.z + rect.depth / 2
+        };
+        
+        if (this.geoService.model) {
+            this.groundLevel = new THREE.Box3().setFromObject(this.geoService.model).min.y;
+        }
+        
+        const uniforms = this.mesh.material.uniforms;
+        uniforms.uBoundsMin.value.set(this.bounds.minX, this.bounds.minZ);
+        uniforms.uBoundsMax.value.set(this.bounds.maxX, this.bounds.maxZ);
+        uniforms.uGround.value = this.groundLevel;
+    }
+    
+    // 빗줄기 하나 = 선분 하나 (머리 0 → 꼬리 1), 위치/위상은 인스턴스 속성
+    createMesh() {
+        const geometry = new THREE.InstancedBufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0, 0, 1, 0], 3));
+        
+        const spread = new Float32Array(this.maxDrops * 2);  // 구름이 없을 때 영역 내 위치 (0~1)
+        const local = new Float32Array(this.maxDrops * 2);   // 구름 중심 기준 오프셋
+        const cluster = new Float32Array(this.maxDrops);     // 소속 구름 번호
+        const phase = new Float32Array(this.maxDrops);       // 낙하 주기 위상
+        const speed = new Float32Array(this.maxDrops);       // 빗방울별 낙하 속도 편차
+        
+        for (let i = 0; i < this.maxDrops; i++) {
+            spread[i * 2] = Math.random();
+            spread[i * 2 + 1] = Math.random();
+            
+            // 구름 아래 원반 (중심부에 밀집)
+            const angle = Math.random() * Math.PI * 2;
+            const radius = Math.sqrt(Math.random()) * 2;
+            local[i * 2] = Math.cos(angle) * radius;
+            local[i * 2 + 1] = Math.sin(angle) * radius;
+            
+            cluster[i] = i % this.maxClusters;
+            phase[i] = Math.random();
+            speed[i] = 0.8 + Math.random() * 0.4;
+        }
+        
+        geometry.setAttribute('aSpread', new THREE.InstancedBufferAttribute(spread, 2));
+        geometry.setAttribute('aLocal', new THREE.InstancedBufferAttribute(local, 2));
+        geometry.setAttribute('aCluster', new THREE.InstancedBufferAttribute(cluster, 1));
+        geometry.setAttribute('aPhase', new THREE.InstancedBufferAttribute(phase, 1));
+        geometry.setAttribute('aSpeed', new THREE.InstancedBufferAttribute(speed, 1));
+        geometry.instanceCount = 0;
+        
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uFallSpeed: { value: 6 },
+                uLength: { value: 0.4 },
+                uSlant: { value: new THREE.Vector2() },
+                uGround: { value: this.groundLevel },
+                uCloudBase: { value: this.cloudBase },
+                uBoundsMin: { value: new THREE.Vector2(this.bounds.minX, this.bounds.minZ) },
+                uBoundsMax: { value: new THREE.Vector2(this.bounds.maxX, this.bounds.maxZ) },
+                uClusters: { value: Array.from({ length: this.maxClusters }, () => new THREE.Vector4()) },
+                uClusterCount: { value: 0 },
+                uColor: { value: new THREE.Color(0xaaccee) },
+                uOpacity: { value: 0.5 }
+            },
+            vertexShader: /* glsl */`
+                attribute vec2 aSpread;
+                attribute vec2 aLocal;
+                attribute float aCluster;
+                attribute float aPhase;
+                attribute float aSpeed;
+                
+                uniform float uTime;
+                uniform float uFallSpeed;
+                uniform float uLength;
+                uniform vec2 uSlant;
+                uniform float uGround;
+                uniform float uCloudBase;
+                uniform vec2 uBoundsMin;
+                uniform vec2 uBoundsMax;
+                uniform vec4 uClusters[${this.maxClusters}];
+                uniform float uClusterCount;
+                
+                varying float vFade;
+                
+                void main() {
+                    // 구름이 있으면 구름 아래, 없으면 지형 영역 전체에서 낙하 시작
+                    vec2 origin = mix(uBoundsMin, uBoundsMax, aSpread);
+                    float top = uCloudBase;
+                    if (uClusterCount > 0.0) {
+                        vec4 cloud = uClusters[int(mod(aCluster, uClusterCount))];
+                        origin = cloud.xz + aLocal;
+                        top = cloud.y;
+                    }
+                    
+                    // 낙하 주기 (구름 밑면 → 지면), 바람만큼 수평 이동
+                    float fall = top - uGround;
+                    float t = fract(aPhase + uTime * uFallSpeed * aSpeed / fall);
+                    float drop = t * fall;
+                    vec3 head = vec3(origin.x + uSlant.x * drop, top - drop, origin.y + uSlant.y * drop);
+                    
+                    // 꼬리는 낙하 방향의 반대쪽 (구름 밑면 위로는 자름)
+                    vec3 direction = normalize(vec3(uSlant.x, -1.0, uSlant.y));
+                    float tail = min(uLength, drop / max(-direction.y, 0.001)) * position.y;
+                    vec3 point = head - direction * tail;
+                    
+                    vFade = 1.0 - position.y;
+                    gl_Position = projectionMatrix * viewMatrix * vec4(point, 1.0);
+                }
+            `,
+            fragmentShader: /* glsl */`
+                uniform vec3 uColor;
+                uniform float uOpacity;
+                varying float vFade;
+                
+                void main() {
+                    gl_FragColor = vec4(uColor, uOpacity * vFade);
+                }
+            `,
+            transparent: true,
+            depthWrite: false
+        });
+        
+        this.mesh = new THREE.LineSegments(geometry, material);
+        this.mesh.name = 'rainStreaks';
+        this.mesh.frustumCulled = false; // 위치는 셰이더에서 계산
+        this.mesh.visible = false;
+        this.scene.add(this.mesh);
+    }
+    
+    // 강우강도(mm/h)와 바람(풍속 m/s, 풍향 °) 반영
+    setConditions({ rainfall = 0, windSpeed = 0, windDirection = 0 }) {
+        this.conditions = { rainfall, windSpeed, windDirection };
+        
+        // 밀도: 약한 비도 보이도록 로그 스케일 (80mm/h 에서 최대)
+        const density = rainfall > 0 ? Math.min(1, Math.log1p(rainfall) / Math.log1p(80)) : 0;
+        this.mesh.geometry.instanceCount = Math.round(this.maxDrops * density);
+        this.mesh.visible = this.enabled && this.mesh.geometry.instanceCount > 0;
+        
+        // 빗방울 크기/낙하 속도: Marshall-Palmer 중앙 입경 D0 = 0.89 R^0.21 (mm)
+        // 종단 속도 v = 9.65 - 10.3 exp(-0.6 D) (m/s)
+        const diameter = 0.89 * Math.pow(Math.max(rainfall, 0.1), 0.21);
+        const terminalVelocity = Math.max(1, 9.65 - 10.3 * Math.exp(-0.6 * diameter));
+        
+        // 풍향은 바람이 불어오는 방향 → 동(u)/북(v) 성분, 장면은 북쪽이 -Z
+        const { u, v } = windToComponents(windSpeed, windDirection);
+        
+        // 기울기 = 수평 풍속 / 낙하 속도 (과도한 기울기는 제한)
+        const slant = new THREE.Vector2(u, -v).divideScalar(terminalVelocity);
+        if (slant.length() > 1.5) slant.setLength(1.5);
+        
+        const uniforms = this.mesh.material.uniforms;
+        uniforms.uFallSpeed.value = terminalVelocity * 1.5;
+        uniforms.uLength.value = 0.1 + terminalVelocity * 0.08;
+        uniforms.uSlant.value.copy(slant);
+        uniforms.uOpacity.value = 0.35 + 0.35 * density;
+        
+        this.updateStatus();
+    }
+    
+    // 매 프레임: 시간 진행 + 구름 클러스터 위치 추종
+    update(time, cloudPositions = []) {
+        if (!this.mesh.visible) return;
+        
+        const uniforms = this.mesh.material.uniforms;
+        uniforms.uTime.value = time;
+        
+        const count = Math.min(cloudPositions.length, this.maxClusters);
+        for (let i = 0; i < count; i++) {
+            const cloud = cloudPositions[i];
+            uniforms.uClusters.value[i].set(cloud.x, cloud.y - 0.8, cloud.z, 1); // 구름 밑면
+        }
+        uniforms.uClusterCount.value = count;
+    }
+    
+    toggle() {
+        this.enabled = !this.enabled;
+        this.mesh.visible = this.enabled && this.mesh.geometry.instanceCount > 0;
+        this.updateStatus();
+        return this.enabled;
+    }
+    
+    // 빗줄기 상태 표시
+    updateStatus() {
+        const statusEl = document.getElementById('rainStatus');
+        if (!statusEl) return;
+        
+        const { rainfall, windSpeed } = this.conditions;
+        if (!this.enabled) {
+            statusEl.textContent = '빗줄기 표시 꺼짐';
+        } else if (rainfall <= 0) {
+            statusEl.textContent = '강수 없음';
+        } else {
+            statusEl.textContent = `${rainfall}mm/h · 빗줄기 ${this.mesh.geometry.instanceCount.toLocaleString()}개 · 풍속 ${windSpeed}m/s`;
+        }
+    }
+}
+
+// =====================================
+// 바람 화살표 오버레이 (지점별 풍향/풍속)
+// =====================================
+class WindFieldOverlay {
+    constructor(scene, geoService) {
+        this.scene = scene;
+        this.geoService = geoService;
+        this.enabled = true;
+        this.height = 3; // 화살표 높이 (지형 최고점 위)
+        this.samples = [];
+        this.fallback = { windSpeed: 0, windDirection: 0 };
+        
+        this.group = new THREE.Group();
+        this.group.name = 'windArrows';
+        this.scene.add(this.group);
+        
+        // 풍속 구간별 색상 (14m/s 이상 강풍주의보 기준)
+        this.colorScale = [
+            { speed: 14, color: 0xff4444 },
+            { speed: 9, color: 0xff8844 },
+            { speed: 4, color: 0xffff44 },
+            { speed: 0, color: 0x66ccff }
+        ];
+        
+        // 지형 모델 좌표 등록 시 높이 재설정 후 다시 그림
+        this.geoService.onChange(() => {
+            if (this.geoService.model) {
+                this.height = new THREE.Box3().setFromObject(this.geoService.model).max.y + 0.5;
+            }
+            this.render();
+        });
+    }
+    
+    getColor(speed) {
+        return this.colorScale.find(entry => speed >= entry.speed).color;
+    }
+    
+    // 지점별 바람 갱신 (지점 자료가 없으면 대표 바람을 군 중심에 표시)
+    update(samples, { windSpeed = 0, windDirection = 0 } = {}) {
+        this.samples = samples;
+        this.fallback = { windSpeed, windDirection };
+        this.render();
+    }
+    
+    clear() {
+        while (this.group.children.length > 0) {
+            const arrow = this.group.children[0];
+            this.group.remove(arrow);
+            arrow.dispose();
+        }
+    }
+    
+    render() {
+        this.clear();
+        this.group.visible = this.enabled;
+        
+        const points = this.samples.length > 0
+            ? this.samples
+            : [{ ...this.geoService.center, ...this.fallback }];
+        
+        points.forEach(point => {
+            if (!(point.windSpeed > 0)) return; // 고요
+            
+            // 불어가는 방향 (동쪽 +X, 북쪽 -Z)
+            const { u, v } = windToComponents(point.windSpeed, point.windDirection);
+            const direction = new THREE.Vector3(u, 0, -v).normalize();
+            
+            const length = 0.4 + Math.min(point.windSpeed, 20) * 0.08;
+            const position = this.geoService.latLonToScene(point.lat, point.lon);
+            position.y = this.height;
+            
+            // 화살표 중심이 지점에 오도록 꼬리를 반대쪽으로
+            const origin = position.clone().addScaledVector(direction, -length / 2);
+            const arrow = new THREE.ArrowHelper(direction, origin, length, this.getColor(point.windSpeed), length * 0.35, length * 0.25);
+            arrow.userData = { name: point.name, windSpeed: point.windSpeed, windDirection: point.windDirection };
+            this.group.add(arrow);
+        });
+    }
+    
+    toggle() {
+        this.enabled = !this.enabled;
+        this.group.visible = this.enabled;
+        return this.enabled;
+    }
+}
+
+// =====================================
+// 하늘·대기 렌더링 (기상 상태 연동)
+// =====================================
+class AtmosphereRenderer {
+    constructor(scene) {
+        this.scene = scene;
+        this.enabled = true;
+        
+        // 기본 배경/안개 (하늘 끔 상태에서 복원)
+        this.defaultBackground = new THREE.Color(0x0a0a0a);
+        this.defaultFog = { near: 50, far: 200 };
+        
+        // 경보 단계별 최소 운량/안개 농도 - CRITICAL 은 어둡고 짙은 안개의 흐린 날
+        this.alertPresets = {
+            SAFE: { cloudCover: 0, fogDensity: 0 },
+            WATCH: { cloudCover: 0.4, fogDensity: 0.2 },
+            WARNING: { cloudCover: 0.7, fogDensity: 0.5 },
+            CRITICAL: { cloudCover: 0.95, fogDensity: 0.85 }
+        };
+        
+        this.conditions = { humidity: 60, rainfall: 0, alertLevel: 'SAFE' };
+        this.state = this.computeState(this.conditions);
+        this.sunDirection = new THREE.Vector3(0, 1, 0);
+        this.sunElevation = 90;
+        
+        // Preetham 산란 모델 하늘 (카메라 원거리면에 그려짐)
+        this.sky = new Sky();
+        this.sky.scale.setScalar(450000);
+        this.scene.add(this.sky);
+        
+        // 흐린 하늘 덮개 - 운량만큼 불투명한 회색 돔
+        const domeMaterial = new THREE.MeshBasicMaterial({
+            color: 0x9aa3ad,
+            transparent: true,
+            opacity: 0,
+            side: THREE.BackSide,
+            depthWrite: false,
+            fog: false
+        });
+        this.overcastDome = new THREE.Mesh(new THREE.SphereGeometry(400, 32, 16), domeMaterial);
+        this.overcastDome.name = 'overcastDome';
+        this.overcastDome.renderOrder = -1; // 구름/빗줄기 등 반투명 객체보다 먼저 그림
+        this.scene.add(this.overcastDome);
+        
+        this.scene.fog = new THREE.Fog(this.defaultBackground.clone(), this.defaultFog.near, this.defaultFog.far);
+        this.apply();
+    }
+    
+    // 습도·강수량·경보 단계 → 탁도/운량/안개 농도
+    computeState({ humidity, rainfall, alertLevel }) {
+        const humid = THREE.MathUtils.clamp((humidity - 50) / 50, 0, 1);
+        const rain = THREE.MathUtils.clamp(rainfall / 30, 0, 1); // 30mm/h (호우주의보) 에서 포화
+        const preset = this.alertPresets[alertLevel] || this.alertPresets.SAFE;
+        
+        const cloudCover = Math.max(preset.cloudCover, Math.min(1, 0.5 * humid + 0.8 * rain));
+        const fogDensity = Math.max(preset.fogDensity, Math.min(1, 0.5 * humid * humid + 0.6 * rain));
+        
+        return {
+            turbidity: 2 + 8 * humid + 10 * rain,
+            rayleigh: 1 + 2 * humid,
+            mieCoefficient: 0.005 + 0.03 * fogDensity,
+            cloudCover,
+            fogDensity
+        };
+    }
+    
+    // 관측 자료 반영
+    setConditions({ humidity = 60, rainfall = 0, alertLevel = 'SAFE' }) {
+        this.conditions = { humidity, rainfall, alertLevel };
+        this.state = this.computeState(this.conditions);
+        this.apply();
+    }
+    
+    // 태양 방향(단위 벡터)과 고도(°) 반영
+    setSun(direction, elevation) {
+        this.sunDirection.copy(direction).normalize();
+        this.sunElevation = elevation;
+        this.apply();
+    }
+    
+    // 구름에 가려지는 직사광 비율
+    get directLightFactor() {
+        return this.enabled ? 1 - 0.85 * this.state.cloudCover : 1;
+    }
+    
+    // 흐린 날 산란광 감소 비율
+    get ambientLightFactor() {
+        return this.enabled ? 1 - 0.45 * this.state.cloudCover : 1;
+    }
+    
+    // 태양이 구름에 완전히 가려졌는지
+    get sunHidden() {
+        return this.enabled && this.state.cloudCover >= 0.85;
+    }
+    
+    apply() {
+        const { turbidity, rayleigh, mieCoefficient, cloudCover, fogDensity } = this.state;
+        
+        this.sky.visible = this.enabled;
+        this.overcastDome.visible = this.enabled && cloudCover > 0;
+        
+        if (!this.enabled) {
+            this.scene.background = this.defaultBackground.clone();
+            this.scene.fog.color.copy(this.defaultBackground);
+            this.scene.fog.near = this.defaultFog.near;
+            this.scene.fog.far = this.defaultFog.far;
+            this.updateStatus();
+            return;
+        }
+        
+        const uniforms = this.sky.material.uniforms;
+        uniforms.turbidity.value = turbidity;
+        uniforms.rayleigh.value = rayleigh;
+        uniforms.mieCoefficient.value = mieCoefficient;
+        uniforms.mieDirectionalG.value = 0.8;
+        uniforms.sunPosition.value.copy(this.sunDirection);
+        
+        // 낮 밝기: 시민박명(-6°) ~ 고도 10°
+        const daylight = THREE.MathUtils.smoothstep(this.sunElevation, -6, 10);
+        
+        // 구름 색: 엷은 회색 → 운량이 많을수록 짙은 먹구름, 밤에는 어둡게
+        const stormFactor = THREE.MathUtils.clamp((cloudCover - 0.5) / 0.5, 0, 1);
+        const cloudColor = new THREE.Color().lerpColors(
+            new THREE.Color(0xb8c0c8),
+            new THREE.Color(0x3a4048),
+            stormFactor
+        ).multiplyScalar(0.1 + 0.9 * daylight);
+        this.overcastDome.material.color.copy(cloudColor);
+        this.overcastDome.material.opacity = cloudCover;
+        
+        // 안개 색: 맑은 지평선 색과 구름 색을 운량/안개 농도로 혼합
+        const horizonColor = new THREE.Color().lerpColors(
+            this.defaultBackground,
+            new THREE.Color(0xa8c0d8),
+            daylight
+        );
+        const fogColor = horizonColor.lerp(cloudColor, Math.max(cloudCover, fogDensity));
+        this.scene.fog.color.copy(fogColor);
+        // 시정은 농도 증가 초기에 빠르게 줄어듦
+        const visibility = Math.sqrt(fogDensity);
+        this.scene.fog.near = THREE.MathUtils.lerp(this.defaultFog.near, 1, visibility);
+        this.scene.fog.far = THREE.MathUtils.lerp(this.defaultFog.far, 25, visibility);
+        this.scene.background = fogColor.clone();
+        
+        this.updateStatus();
+    }
+    
+    toggle() {
+        this.enabled = !this.enabled;
+        this.apply();
+        return this.enabled;
+    }
+    
+    // 하늘 상태 패널 갱신
+    updateStatus() {
+        const statusEl = document.getElementById('atmosphereStatus');
+        if (!statusEl) return;
+        
+        if (!this.enabled) {
+            statusEl.textContent = '하늘 표시 꺼짐';
+            return;
+        }
+        
+        const { turbidity, cloudCover, fogDensity } = this.state;
+        let sky;
+        if (cloudCover >= 0.85) {
+            sky = '🌧️ 흐림 (먹구름)';
+        } else if (cloudCover >= 0.5) {
+            sky = '☁️ 구름 많음';
+        } else if (cloudCover >= 0.2) {
+            sky = '⛅ 구름 조금';
+        } else {
+            sky = '☀️ 맑음';
+        }
+        
+        statusEl.innerHTML = `
+            ${sky}<br>
+            탁도 ${turbidity.toFixed(1)} · 운량 ${Math.round(cloudCover * 100)}% · 안개 ${Math.round(fogDensity * 100)}%
+        `;
+    }
+}
+
 // =====================================
 // AI 기반 강수 예측 시스템 (LSTM)
 // =====================================
 class RainfallPredictor {
-    constructor() {
+    constructor({ storageKey = 'rainfall-predictor', features = DEFAULT_FEATURES } = {}) {
         this.historicalData = [];
-        this.predictionHorizon = 6; // 6시간 후 예측
+        this.simulatedHistory = []; // 사례 재현·Mock 자료 (저장/재학습 안 함, 실시간 API 자료가 오면 비움)
+        this.simulatedSource = null; // 재현 사례 이름 또는 'mock'
+        this.forecastHorizons = FORECAST_HORIZONS; // 1/3/6/12/24시간 후 예측 (분위수 → 예측구간)
+        this.exceedanceThresholds = ALERT_THRESHOLDS; // 초과확률 기준 (mm/h, HIGH/CRITICAL)
         this.model = null;
         this.isModelReady = false;
-        this.sequenceLength = 10; // 과거 10개 데이터 포인트 사용
+        this.isTraining = false;
+        this.sequenceLength = SEQUENCE_LENGTH; // 과거 10시간 (1시간 간격) 사용
+        
+        // 입력 특성 (Mock 학습용, 배포 모델은 학습 때 쓴 특성을 그대로 사용)
+        // 정규화 통계 { features, stats: { 특성: { mean, std } }, labelScale } 는 학습 자료로 계산해 모델과 함께 저장
+        this.features = features;
+        this.normalization = null;
+        
+        // ASOS 자료로 학습해 배포한 모델 (npm run train:predictor 로 생성)
+        this.pretrainedUrl = import.meta.env.VITE_PREDICTOR_MODEL_URL || '/models/rainfall-lstm/model.json';
+        
+        // IndexedDB 저장 (가중치 + 정규화 통계, 학습할 때만), 과거 데이터는 매 관측마다 localStorage 에 따로 저장
+        // schemaVersion: 모델 구조/입력 특성이 바뀌면 올려서 이전 저장본을 무시
+        this.modelUrl = `indexeddb://${storageKey}`;
+        this.historyKey = `${storageKey}-history`;
+        this.schemaVersion = MODEL_SCHEMA_VERSION;
+        // revision: 학습할 때마다 증가, baseModel: 출발 모델 ('mock' 또는 배포 모델 ID)
+        this.modelInfo = { revision: 0, savedAt: null, trainedOn: null, baseModel: null };
+        
+        this.restoreHistory();
         
         // LSTM 모델 초기화
         this.initializeLSTMModel();
     }
     
-    // LSTM 모델 생성
+    // LSTM 모델 준비: 같은 출발 모델에서 이어 학습한 저장본 → 배포 모델 → Mock 사전 학습 순
     async initializeLSTMModel() {
         console.log('🤖 LSTM 모델 초기화 중...');
         
-        // Sequential 모델 생성
-        this.model = tf.sequential({
-            layers: [
-                // LSTM 레이어 1 (입력: [시퀀스 길이, 특성 수])
-                tf.layers.lstm({
-                    units: 32,
-                    returnSequences: true,
-                    inputShape: [this.sequenceLength, 3] // 3 특성: 강수량, 습도, 기온
-                }),
-                tf.layers.dropout({ rate: 0.2 }),
-                
-                // LSTM 레이어 2
-                tf.layers.lstm({
-                    units: 16,
-                    returnSequences: false
-                }),
-                tf.layers.dropout({ rate: 0.2 }),
-                
-                // Dense 레이어
-                tf.layers.dense({ units: 8, activation: 'relu' }),
-                tf.layers.dense({ units: 1, activation: 'relu' }) // 출력: 강수량 예측
-            ]
-        });
+        const pretrained = await this.loadPretrainedModel();
+        const baseModel = pretrained ? pretrained.metadata.pretrainedId : 'mock';
+        const features = pretrained ? pretrained.metadata.normalization.features : this.features;
+        
+        if (await this.loadSavedModel(baseModel, features)) {
+            pretrained?.model.dispose();
+            this.isModelReady = true;
+            return;
+        }
+        
+        if (pretrained) {
+            compileRainfallModel(tf, pretrained.model);
+            this.model = pretrained.model;
+            this.normalization = pretrained.metadata.normalization;
+            this.modelInfo = { revision: 0, savedAt: null, trainedOn: null, baseModel };
+            await this.saveModel({ trainedOn: 'asos' });
+            
+            this.updateTrainingStatus('completed', 100, `ASOS 사전학습 모델 적용 (${baseModel})`);
+            setTimeout(() => {
+                this.updateTrainingStatus('idle', 0, '모델 준비 완료');
+            }, 2000);
+            this.isModelReady = true;
+            return;
+        }
         
-        // 모델 컴파일
-        this.model.compile({
-            optimizer: tf.train.adam(0.001),
-            loss: 'meanSquaredError',
-            metrics: ['mae']
+        // Mock 관측 시계열로 정규화 통계 계산 후 모델 구성
+        const mockSeries = this.generateMockSeries();
+        const { missing, ...normalization } = computeNormalization(mockSeries, this.features);
+        this.normalization = normalization;
+        this.model = buildRainfallModel(tf, {
+            sequenceLength: this.sequenceLength,
+            featureCount: normalization.features.length
         });
         
-        console.log('✅ LSTM 모델 초기화 완료');
+        console.log(`✅ LSTM 모델 초기화 완료 (입력 특성 ${normalization.features.length}개: ${normalization.features.join(', ')})`);
         console.log('📊 모델 구조:');
         this.model.summary();
         
         // Mock 데이터로 사전 학습
-        await this.preTrainWithMockData();
+        this.modelInfo = { revision: 0, savedAt: null, trainedOn: null, baseModel };
+        await this.preTrainWithMockData(mockSeries);
+        await this.saveModel({ trainedOn: 'mock' });
         
         this.isModelReady = true;
     }
     
-    // Mock 데이터로 사전 학습
-    async preTrainWithMockData() {
-        console.log('📚 Mock 데이터로 모델 학습 시작...');
-        
-        // 100개의 시뮬레이션 데이터 생성
-        const trainingData = [];
-        const trainingLabels = [];
-        
-        for (let i = 0; i < 100; i++) {
-            const sequence = [];
-            let baseRainfall = Math.random() * 30;
+    // 관측값 → 정규화된 입력 특성 (normalization.features 순서)
+    normalizeRecord(d) {
+        return normalizeRecord(d, this.normalization);
+    }
+    
+    // 배포된 ASOS 사전학습 모델 불러오기 (없거나 구조 버전이 다르면 null)
+    async loadPretrainedModel() {
+        try {
+            const model = await tf.loadLayersModel(this.pretrainedUrl);
+            const metadata = model.getUserDefinedMetadata();
             
-            // 10개 시퀀스 생성
-            for (let j = 0; j < this.sequenceLength; j++) {
-                const rainfall = baseRainfall + (Math.random() - 0.5) * 10;
-                const humidity = 60 + Math.random() * 30;
-                const temperature = 20 + Math.random() * 10;
-                
-                sequence.push([
-                    rainfall / 100,        // 정규화 (0-1)
-                    humidity / 100,        // 정규화 (0-1)
-                    temperature / 40       // 정규화 (0-1)
-                ]);
-                
-                baseRainfall += (Math.random() - 0.5) * 5; // 트렌드
+            if (!metadata || metadata.schemaVersion !== this.schemaVersion) {
+                console.warn(`⚠️ 배포 모델 구조 버전 불일치 (배포 ${metadata?.schemaVersion}, 현재 ${this.schemaVersion}) - 사용 안 함`);
+                model.dispose();
+                return null;
+            }
+            
+            const test = metadata.metrics?.test?.[6];
+            console.log(`📦 ASOS 사전학습 모델 확인: ${metadata.pretrainedId}${test ? ` (+6h 시험 MAE ${test.mae}mm/h, 80% 구간 적중률 ${test.coverage80})` : ''}`);
+            return { model, metadata };
+        } catch (error) {
+            console.log('ℹ️ 배포된 사전학습 모델 없음 - Mock 데이터로 학습');
+            return null;
+        }
+    }
+    
+    // IndexedDB 에서 저장된 모델 불러오기 (없거나 구조 버전/출발 모델/입력 특성이 다르면 false)
+    async loadSavedModel(baseModel, features) {
+        try {
+            const savedModels = await tf.io.listModels();
+            if (!savedModels[this.modelUrl]) return false;
+            
+            const model = await tf.loadLayersModel(this.modelUrl);
+            const metadata = model.getUserDefinedMetadata();
+            
+            if (!metadata || metadata.schemaVersion !== this.schemaVersion) {
+                console.warn(`⚠️ 저장된 모델 구조 버전 불일치 (저장 ${metadata?.schemaVersion}, 현재 ${this.schemaVersion}) - 새로 학습`);
+                model.dispose();
+                return false;
+            }
+            
+            // 새 모델이 배포되면 이전 출발 모델에서 이어 학습한 저장본은 버림
+            const savedBase = metadata.baseModel ?? 'mock';
+            if (savedBase !== baseModel) {
+                console.log(`ℹ️ 출발 모델 변경 (저장 ${savedBase} → ${baseModel}) - 저장본 대신 새 모델 사용`);
+                model.dispose();
+                return false;
+            }
+            
+            if (metadata.normalization.features.join() !== features.join()) {
+                console.log(`ℹ️ 입력 특성 변경 (저장 ${metadata.normalization.features.length}개 → ${features.length}개) - 새로 학습`);
+                model.dispose();
+                return false;
             }
             
-            // 레이블: 6시간 후 강수량 (트렌드 반영)
-            const futureRainfall = (baseRainfall + (Math.random() - 0.3) * 15) / 100;
+            compileRainfallModel(tf, model);
+            this.model = model;
+            this.normalization = metadata.normalization;
+            this.modelInfo = {
+                revision: metadata.revision,
+                savedAt: metadata.savedAt,
+                trainedOn: metadata.trainedOn,
+                baseModel: savedBase
+            };
+            
+            console.log(`💾 저장된 LSTM 모델 불러옴 (v${this.modelInfo.revision}, ${this.modelInfo.savedAt}, 과거 데이터 ${this.historicalData.length}개)`);
+            this.updateTrainingStatus('completed', 100, `저장된 모델 불러옴 (v${this.modelInfo.revision})`);
+            this.updateModelInfoUI();
+            setTimeout(() => {
+                this.updateTrainingStatus('idle', 0, '모델 준비 완료');
+            }, 2000);
+            return true;
+        } catch (error) {
+            console.warn('저장된 모델 불러오기 실패 - 새로 학습:', error);
+            return false;
+        }
+    }
+    
+    // 가중치 + 정규화 통계를 IndexedDB 에 저장
+    // trainedOn 을 주면 새 학습 결과로 보고 revision 증가
+    async saveModel({ trainedOn = null } = {}) {
+        if (!this.model) return;
+        
+        if (trainedOn) {
+            this.modelInfo = {
+                ...this.modelInfo,
+                revision: this.modelInfo.revision + 1,
+                savedAt: new Date().toISOString(),
+                trainedOn
+            };
+        }
+        
+        this.model.setUserDefinedMetadata({
+            schemaVersion: this.schemaVersion,
+            ...this.modelInfo,
+            sequenceLength: this.sequenceLength,
+            normalization: this.normalization
+        });
+        
+        try {
+            await this.model.save(this.modelUrl);
+            this.updateModelInfoUI();
+        } catch (error) {
+            console.warn('모델 저장 실패:', error);
+        }
+    }
+    
+    // 모델 파일 내려받기 (model.json + weights.bin, 메타데이터 포함)
+    async exportModel() {
+        if (!this.model) return;
+        await this.saveModel();
+        await this.model.save(`downloads://sancheong-rainfall-lstm-v${this.modelInfo.revision}`);
+    }
+    
+    // 저장된 모델 삭제 후 처음부터 다시 학습
+    async resetModel() {
+        if (this.isTraining) return;
+        
+        try {
+            await tf.io.removeModel(this.modelUrl);
+        } catch (error) {
+            // 저장본이 없으면 무시
+        }
+        
+        this.isModelReady = false;
+        this.model?.dispose();
+        this.model = null;
+        this.historicalData = [];
+        this.saveHistory();
+        this.modelInfo = { revision: 0, savedAt: null, trainedOn: null, baseModel: null };
+        console.log('🗑️ 저장된 LSTM 모델 삭제 - 다시 학습');
+        
+        await this.initializeLSTMModel();
+    }
+    
+    // 저장된 모델 정보 표시
+    updateModelInfoUI() {
+        const versionElement = document.getElementById('modelVersion');
+        if (!versionElement) return;
+        
+        if (!this.modelInfo.savedAt) {
+            versionElement.textContent = '저장된 모델 없음';
+            return;
+        }
+        
+        const savedAt = new Date(this.modelInfo.savedAt).toLocaleString('ko-KR', {
+            month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+        const sources = { observations: '관측 학습', asos: 'ASOS 사전학습', mock: 'Mock 학습' };
+        const source = sources[this.modelInfo.trainedOn] || this.modelInfo.trainedOn;
+        const features = this.normalization.features;
+        versionElement.textContent = `저장 v${this.modelInfo.revision} · ${savedAt} · ${source} · 입력 ${features.length}개`;
+        versionElement.title = `입력 특성: ${features.map(name => FEATURES[name].label).join(', ')}`;
+    }
+    
+    // Mock 1시간 간격 관측 시계열 (30일) - 풍상측 강수 세포가 약 1시간 뒤 도달하는 단순 시나리오
+    generateMockSeries(hours = 720) {
+        const start = Math.floor(Date.now() / 3600000) * 3600000 - hours * 3600000;
+        const series = [];
+        let upstream = 0;
+        let rainfall = 0;
+        
+        for (let i = 0; i < hours; i++) {
+            const time = start + i * 3600000;
+            const hour = (new Date(time).getUTCHours() + 9) % 24; // KST
+            
+            // 풍상측 강수 세포: 가끔 발생해 서서히 약해짐 (오후에 더 잦음)
+            const stormChance = hour >= 13 && hour <= 19 ? 0.08 : 0.03;
+            const previousUpstream = upstream;
+            upstream = Math.random() < stormChance ? upstream + Math.random() * 40 : upstream * 0.75;
+            rainfall = Math.max(0, 0.6 * previousUpstream + 0.3 * rainfall + (Math.random() - 0.5) * 2);
             
-            trainingData.push(sequence);
-            trainingLabels.push([Math.max(0, futureRainfall)]);
+            const wet = rainfall > 1;
+            series.push({
+                time,
+                rainfall: Math.round(rainfall * 10) / 10,
+                humidity: Math.min(100, 60 + Math.random() * 20 + (wet ? 20 : 0)),
+                temperature: 22 + 5 * Math.sin(2 * Math.PI * (hour - 9) / 24) + Math.random() * 2 - (wet ? 2 : 0),
+                windSpeed: 1 + Math.random() * 4 + upstream * 0.05,
+                windDirection: 200 + Math.random() * 60,
+                pressure: 1008 - upstream * 0.1 + (Math.random() - 0.5) * 2,
+                forecastRainfall: null,
+                upstreamRainfall: Math.round(upstream * 10) / 10
+            });
         }
         
+        // 예보 PCP: 다음 1시간 강수량 ± 오차
+        series.forEach((record, i) => {
+            const next = series[i + 1] || record;
+            record.forecastRainfall = Math.max(0, Math.round(next.rainfall * (0.5 + Math.random()) * 10) / 10);
+        });
+        
+        return series;
+    }
+    
+    // Mock 데이터로 사전 학습
+    async preTrainWithMockData(mockSeries = this.generateMockSeries()) {
+        console.log('📚 Mock 데이터로 모델 학습 시작...');
+        
+        const windows = buildTrainingWindows(mockSeries, { sequenceLength: this.sequenceLength });
+        const trainingData = windows.map(w => w.sequence.map(d => this.normalizeRecord(d)));
+        const trainingLabels = windows.map(w => scaleLabels(w.labels, this.normalization));
+        
         const xs = tf.tensor3d(trainingData);
         const ys = tf.tensor2d(trainingLabels);
         
         // 모델 학습
+        const totalEpochs = 15;
         await this.model.fit(xs, ys, {
-            epochs: 50,
-            batchSize: 16,
+            epochs: totalEpochs,
+            batchSize: 32,
             validationSplit: 0.2,
             shuffle: true,
             verbose: 0,
             callbacks: {
                 onEpochEnd: (epoch, logs) => {
                     // 진행률 업데이트 (20% ~ 90%)
-                    const progress = 20 + ((epoch + 1) / 50) * 70;
+                    const progress = 20 + ((epoch + 1) / totalEpochs) * 70;
+                    this.updateTrainingStatus('training', progress, `Epoch ${epoch + 1}/${totalEpochs} - Loss: ${logs.loss.toFixed(4)}`);
                     if (epoch % 5 === 0) {
-                        this.updateTrainingStatus('training', progress, `Epoch ${epoch + 1}/50 - Loss: ${logs.loss.toFixed(4)}`);
-                    }
-                    if (epoch % 10 === 0) {
-                        console.log(`Epoch ${epoch}: loss = ${logs.loss.toFixed(4)}, mae = ${logs.mae.toFixed(4)}`);
+                        console.log(`Epoch ${epoch}: loss = ${logs.loss.toFixed(4)}, val_loss = ${logs.val_loss.toFixed(4)}`);
                     }
                 }
             }
@@ -1264,54 +4083,97 @@ class RainfallPredictor {
         }
     }
     
-    // 과거 데이터 추가
-    addHistoricalData(data) {
-        this.historicalData.push({
+    // 과거 데이터 추가 (observedAt: 관측 시각 - 1시간 간격 시퀀스를 이 시각으로 묶음)
+    addHistoricalData(data, observedAt = data.lastUpdate ?? new Date()) {
+        const record = {
             rainfall: data.rainfall,
             humidity: data.humidity,
             temperature: data.temperature,
-            timestamp: Date.now()
-        });
+            windSpeed: data.windSpeed ?? null,
+            windDirection: data.windDirection ?? null,
+            pressure: data.pressure ?? null,
+            forecastRainfall: data.forecastRainfall ?? null,
+            upstreamRainfall: data.upstreamRainfall ?? null,
+            time: new Date(observedAt).getTime()
+        };
+        
+        // 사례 재현·Mock 자료는 따로 모으고 저장/재학습하지 않음 (실제 관측으로 학습한 저장 모델을 바꾸지 않도록)
+        // 자료 시각 기준 최근 24시간만, 재현을 되감으면 그 뒤 기록은 버림
+        if (data.simulated) {
+            const source = data.replay ? data.replay.name : 'mock';
+            if (this.simulatedSource !== source) {
+                this.simulatedSource = source;
+                this.simulatedHistory = [];
+            }
+            this.simulatedHistory = this.simulatedHistory
+                .filter(d => d.time < record.time && d.time > record.time - 24 * 3600000)
+                .concat(record);
+            return;
+        }
+        this.simulatedHistory = [];
+        this.simulatedSource = null;
+        
+        this.historicalData.push(record);
         
         // 최근 24시간만 유지
         const dayAgo = Date.now() - 24 * 3600000;
-        this.historicalData = this.historicalData.filter(d => d.timestamp > dayAgo);
+        this.historicalData = this.historicalData.filter(d => d.time > dayAgo);
         
-        // 데이터가 충분하면 재학습 (선택적)
-        if (this.historicalData.length >= 50 && this.historicalData.length % 20 === 0) {
-            this.retrainModel();
+        this.saveHistory();
+        
+        // 데이터가 충분하면 재학습 (가중치는 재학습 후에만 저장)
+        if (this.isModelReady && this.historicalData.length >= 50 && this.historicalData.length % 20 === 0) {
+            this.retrainModel().catch(error => {
+                console.warn('모델 재학습 실패:', error);
+                this.updateTrainingStatus('idle', 0, '재학습 실패 - 이전 모델 유지');
+            });
         }
     }
     
-    // 실제 데이터로 재학습
-    async retrainModel() {
-        if (this.historicalData.length < this.sequenceLength + 1) return;
-        
-        console.log('🔄 실제 데이터로 모델 재학습 중...');
-        
-        // 학습 시작 상태 표시
-        this.updateTrainingStatus('training', 0, `데이터 준비 중... (${this.historicalData.length}개)`);
-        
-        const trainingData = [];
-        const trainingLabels = [];
+    // 최근 24시간 과거 데이터 (localStorage, 모델 가중치와 별도)
+    saveHistory() {
+        try {
+            localStorage.setItem(this.historyKey, JSON.stringify(this.historicalData));
+        } catch (error) {
+            console.warn('예측 과거 데이터 저장 실패:', error);
+        }
+    }
+    
+    restoreHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.historyKey) || '[]');
+            const dayAgo = Date.now() - 24 * 3600000;
+            this.historicalData = saved.filter(d => d.time > dayAgo);
+        } catch (error) {
+            console.warn('예측 과거 데이터 복원 실패:', error);
+        }
+    }
+    
+    // 실제 데이터로 재학습
+    async retrainModel() {
+        if (this.isTraining) return;
+        
+        // 1시간 간격 시퀀스 → 선행시간별 레이블 (보유 기간을 넘는 선행시간은 손실에서 제외)
+        // 정규화 통계는 모델 학습 때 값을 그대로 유지 (바꾸면 기존 가중치와 어긋남)
+        const hourly = this.getHourlyHistory();
+        const windows = buildTrainingWindows(hourly, {
+            sequenceLength: this.sequenceLength,
+            horizons: this.forecastHorizons
+        });
+        const trainingData = windows.map(w => w.sequence.map(d => this.normalizeRecord(d)));
+        const trainingLabels = windows.map(w => scaleLabels(w.labels, this.normalization));
         
-        for (let i = 0; i <= this.historicalData.length - this.sequenceLength - 1; i++) {
-            const sequence = [];
-            
-            for (let j = 0; j < this.sequenceLength; j++) {
-                const d = this.historicalData[i + j];
-                sequence.push([
-                    d.rainfall / 100,
-                    d.humidity / 100,
-                    d.temperature / 40
-                ]);
-            }
-            
-            const futureData = this.historicalData[i + this.sequenceLength];
-            trainingData.push(sequence);
-            trainingLabels.push([futureData.rainfall / 100]);
+        if (trainingData.length === 0) {
+            console.log(`ℹ️ 재학습 보류 - 1시간 간격 자료 ${hourly.length}개 (최소 ${this.sequenceLength + 1}개 필요)`);
+            return;
         }
         
+        console.log('🔄 실제 데이터로 모델 재학습 중...');
+        this.isTraining = true;
+        
+        // 학습 시작 상태 표시
+        this.updateTrainingStatus('training', 0, `데이터 준비 중... (${trainingData.length}개 구간)`);
+        
         this.updateTrainingStatus('training', 20, `학습 시작... (10 epochs)`);
         
         const xs = tf.tensor3d(trainingData);
@@ -1319,22 +4181,26 @@ class RainfallPredictor {
         
         // 진행률을 보여주기 위한 콜백 추가
         const totalEpochs = 10;
-        await this.model.fit(xs, ys, {
-            epochs: totalEpochs,
-            batchSize: 8,
-            verbose: 0,
-            callbacks: {
-                onEpochEnd: (epoch, logs) => {
-                    const progress = 20 + ((epoch + 1) / totalEpochs) * 60;
-                    this.updateTrainingStatus('training', progress, `Epoch ${epoch + 1}/${totalEpochs} - Loss: ${logs.loss.toFixed(4)}`);
+        try {
+            await this.model.fit(xs, ys, {
+                epochs: totalEpochs,
+                batchSize: 8,
+                verbose: 0,
+                callbacks: {
+                    onEpochEnd: (epoch, logs) => {
+                        const progress = 20 + ((epoch + 1) / totalEpochs) * 60;
+                        this.updateTrainingStatus('training', progress, `Epoch ${epoch + 1}/${totalEpochs} - Loss: ${logs.loss.toFixed(4)}`);
+                    }
                 }
-            }
-        });
-        
-        xs.dispose();
-        ys.dispose();
+            });
+        } finally {
+            xs.dispose();
+            ys.dispose();
+            this.isTraining = false;
+        }
         
         console.log('✅ 재학습 완료');
+        await this.saveModel({ trainedOn: 'observations' });
         
         // 완료 상태 표시
         this.updateTrainingStatus('completed', 100, `모델 업데이트 완료!`);
@@ -1390,11 +4256,16 @@ class RainfallPredictor {
         }
     }
     
+    // 예측에 쓸 과거 데이터 (사례 재현·Mock 자료면 따로 모은 기록)
+    historyFor(data) {
+        return data.simulated ? this.simulatedHistory : this.historicalData;
+    }
+    
     // 트렌드 계산
-    calculateTrend() {
-        if (this.historicalData.length < 2) return 0;
+    calculateTrend(history = this.historicalData) {
+        if (history.length < 2) return 0;
         
-        const recent = this.historicalData.slice(-10);
+        const recent = history.slice(-10);
         let sum = 0;
         
         for (let i = 1; i < recent.length; i++) {
@@ -1404,57 +4275,53 @@ class RainfallPredictor {
         return sum / (recent.length - 1);
     }
     
-    // LSTM 강수량 예측
+    // 과거 데이터를 1시간 간격으로 (각 시각의 마지막 관측) - 모델은 1시간 간격 시퀀스로 학습됨
+    getHourlyHistory(history = this.historicalData) {
+        const byHour = new Map();
+        history.forEach(d => byHour.set(Math.floor(d.time / 3600000), d));
+        return [...byHour.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([hour, d]) => ({ ...d, time: hour * 3600000 }));
+    }
+    
+    // 모델 입력 시퀀스 (부족하면 가장 오래된 관측으로 앞쪽 채움)
+    buildInputSequence(currentData) {
+        const hourly = this.getHourlyHistory(this.historyFor(currentData));
+        const time = new Date(currentData.lastUpdate ?? Date.now()).getTime();
+        const recent = hourly.length > 0 ? hourly.slice(-this.sequenceLength) : [{ ...currentData, time }];
+        const sequence = recent.map(d => this.normalizeRecord(d));
+        
+        while (sequence.length < this.sequenceLength) {
+            sequence.unshift(sequence[0]);
+        }
+        return sequence;
+    }
+    
+    // LSTM 강수량 예측 - 선행시간별 중앙값, 50%/80% 예측구간, 초과확률
     async predict(currentData) {
         if (!this.isModelReady) {
             return this.fallbackPredict(currentData);
         }
         
-        // 시퀀스 데이터 준비
-        let sequence = [];
-        
-        if (this.historicalData.length >= this.sequenceLength) {
-            // 실제 과거 데이터 사용
-            const recentData = this.historicalData.slice(-this.sequenceLength);
-            sequence = recentData.map(d => [
-                d.rainfall / 100,
-                d.humidity / 100,
-                d.temperature / 40
-            ]);
-        } else {
-            // 데이터 부족 시 현재 데이터로 패딩
-            for (let i = 0; i < this.sequenceLength; i++) {
-                sequence.push([
-                    currentData.rainfall / 100,
-                    currentData.humidity / 100,
-                    currentData.temperature / 40
-                ]);
-            }
-        }
-        
-        // TensorFlow 예측
-        const inputTensor = tf.tensor3d([sequence]);
+        // TensorFlow 예측 (출력: 선행시간 × 분위수, 정규화)
+        const inputTensor = tf.tensor3d([this.buildInputSequence(currentData)]);
         const prediction = this.model.predict(inputTensor);
-        const predictedValue = (await prediction.data())[0] * 100; // 역정규화
+        const row = Array.from(await prediction.data());
         
         inputTensor.dispose();
         prediction.dispose();
         
-        const trend = this.calculateTrend();
-        const confidence = Math.min(100, this.historicalData.length * 3);
+        const horizons = outputToQuantiles(row, this.normalization).map(({ hours, values }) => ({
+            hours,
+            ...summarizeQuantiles(values, this.exceedanceThresholds)
+        }));
         
-        return {
-            rainfall6h: Math.round(Math.max(0, predictedValue) * 10) / 10,
-            confidence: Math.round(confidence),
-            trend: trend > 0 ? '증가' : trend < 0 ? '감소' : '유지',
-            level: this.getPredictionLevel(predictedValue),
-            modelType: 'LSTM'
-        };
+        return this.buildPrediction(horizons, 'lstm', 'LSTM', this.historyFor(currentData));
     }
     
-    // Fallback 예측 (모델 준비 전)
+    // Fallback 예측 (모델 준비 전) - 선형 추정이라 예측구간/초과확률 없음
     fallbackPredict(currentData) {
-        const trend = this.calculateTrend();
+        const trend = this.calculateTrend(this.historyFor(currentData));
         
         const prediction = 
             currentData.rainfall * 0.6 +
@@ -1462,12 +4329,35 @@ class RainfallPredictor {
             (30 - currentData.temperature) * 0.1 +
             trend * 5 * 0.1;
         
+        const horizons = this.forecastHorizons.map(hours => ({
+            hours,
+            median: Math.max(0, prediction),
+            lower50: null,
+            upper50: null,
+            lower80: null,
+            upper80: null,
+            exceedance: null
+        }));
+        
+        return this.buildPrediction(horizons, 'fallback', 'Linear (Loading...)', this.historyFor(currentData));
+    }
+    
+    // 선행시간별 예측 → 패널/침수 슬라이더용 결과 (대표값은 6시간 후)
+    // model: 검증 기록용 키 ('lstm' | 'fallback'), modelType: 표시 이름, history: 추세 계산용 과거 데이터
+    buildPrediction(horizons, model, modelType, history = this.historicalData) {
+        const trend = this.calculateTrend(history);
+        const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+        const sixHour = horizons.find(f => f.hours === 6) || horizons[0];
+        
         return {
-            rainfall6h: Math.round(Math.max(0, prediction) * 10) / 10,
-            confidence: Math.min(100, this.historicalData.length * 5),
+            issuedAt: new Date(),
+            horizons,
+            rainfall6h: round(sixHour.median),
+            interval6h: sixHour.lower80 === null ? null : [round(sixHour.lower80), round(sixHour.upper80)],
             trend: trend > 0 ? '증가' : trend < 0 ? '감소' : '유지',
-            level: this.getPredictionLevel(prediction),
-            modelType: 'Linear (Loading...)'
+            level: this.getPredictionLevel(sixHour.median),
+            model,
+            modelType
         };
     }
     
@@ -1482,13 +4372,15 @@ class RainfallPredictor {
     // UI 업데이트
     updatePredictionUI(prediction) {
         const predicted6h = document.getElementById('predicted6h');
-        const predictionConfidence = document.getElementById('predictionConfidence');
+        const predictionInterval = document.getElementById('predictionInterval');
         const predictionTrend = document.getElementById('predictionTrend');
         
-        if (!predicted6h || !predictionConfidence || !predictionTrend) return;
+        if (!predicted6h || !predictionInterval || !predictionTrend) return;
         
         predicted6h.textContent = `${prediction.rainfall6h} mm/h`;
-        predictionConfidence.textContent = `${prediction.confidence}%`;
+        predictionInterval.textContent = prediction.interval6h
+            ? `${prediction.interval6h[0]} ~ ${prediction.interval6h[1]} mm/h`
+            : '-- (모델 준비 중)';
         predictionTrend.textContent = `${prediction.trend} (${prediction.modelType || 'LSTM'})`;
         
         // 레벨에 따른 색상
@@ -1498,54 +4390,1516 @@ class RainfallPredictor {
             'MODERATE': '#ffcc44',
             'LOW': '#44ff44'
         };
-        
-        predicted6h.style.color = colors[prediction.level] || '#ffffff';
-        
-        // AI 예측값을 침수 슬라이더에 표시
-        this.updateFloodSliderPrediction(prediction.rainfall6h);
+        
+        predicted6h.style.color = colors[prediction.level] || '#ffffff';
+        
+        this.drawForecastChart(prediction);
+        this.updateExceedanceTable(prediction);
+        
+        // AI 예측값을 침수 슬라이더에 표시
+        this.updateFloodSliderPrediction(prediction.rainfall6h);
+    }
+    
+    // 선행시간별 중앙값 선 + 50%/80% 예측구간 띠 + 경보 기준선
+    drawForecastChart(prediction) {
+        const canvas = document.getElementById('predictionChart');
+        if (!canvas) return;
+        
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.clearRect(0, 0, width, height);
+        
+        const horizons = prediction.horizons;
+        const left = 30;
+        const right = width - 8;
+        const top = 8;
+        const bottom = height - 16;
+        
+        const maxValue = Math.max(10, ...horizons.map(f => f.upper80 ?? f.median)) * 1.1;
+        // x 는 선행시간에 비례 (발표 시각 0 ~ 최장 선행시간)
+        const maxHours = horizons[horizons.length - 1].hours;
+        const x = (hours) => left + (hours / maxHours) * (right - left);
+        const y = (value) => bottom - (value / maxValue) * (bottom - top);
+        
+        // 예측구간 띠 (80% 연하게, 50% 진하게)
+        const drawBand = (lowerKey, upperKey, color) => {
+            if (horizons.some(f => f[lowerKey] === null)) return;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            horizons.forEach((f, i) => (i === 0 ? ctx.moveTo(x(f.hours), y(f[upperKey])) : ctx.lineTo(x(f.hours), y(f[upperKey]))));
+            for (let i = horizons.length - 1; i >= 0; i--) {
+                ctx.lineTo(x(horizons[i].hours), y(horizons[i][lowerKey]));
+            }
+            ctx.closePath();
+            ctx.fill();
+        };
+        drawBand('lower80', 'upper80', 'rgba(136, 255, 204, 0.15)');
+        drawBand('lower50', 'upper50', 'rgba(136, 255, 204, 0.3)');
+        
+        // 경보 기준선 (30/50 mm/h)
+        ctx.setLineDash([3, 3]);
+        ctx.lineWidth = 1;
+        this.exceedanceThresholds.forEach((threshold, i) => {
+            if (threshold > maxValue) return;
+            ctx.strokeStyle = i === 0 ? 'rgba(255, 136, 68, 0.8)' : 'rgba(255, 68, 68, 0.8)';
+            ctx.beginPath();
+            ctx.moveTo(left, y(threshold));
+            ctx.lineTo(right, y(threshold));
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        
+        // 중앙값 선
+        ctx.strokeStyle = '#88ffcc';
+        ctx.fillStyle = '#88ffcc';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        horizons.forEach((f, i) => (i === 0 ? ctx.moveTo(x(f.hours), y(f.median)) : ctx.lineTo(x(f.hours), y(f.median))));
+        ctx.stroke();
+        horizons.forEach(f => {
+            ctx.beginPath();
+            ctx.arc(x(f.hours), y(f.median), 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        
+        // 축 눈금
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${maxValue.toFixed(0)}`, left - 4, top + 8);
+        ctx.fillText('0', left - 4, bottom);
+        ctx.textAlign = 'center';
+        // 짧은 선행시간은 간격이 좁아 겹치는 눈금 글자는 생략 (점은 모두 표시)
+        let lastLabelX = -Infinity;
+        horizons.forEach(f => {
+            if (x(f.hours) - lastLabelX < 24) return;
+            ctx.fillText(`+${f.hours}h`, x(f.hours), height - 3);
+            lastLabelX = x(f.hours);
+        });
+        ctx.textAlign = 'left';
+    }
+    
+    // 선행시간별 경보 기준 초과확률 표
+    updateExceedanceTable(prediction) {
+        const table = document.getElementById('predictionExceedance');
+        if (!table) return;
+        
+        if (prediction.horizons.some(f => !f.exceedance)) {
+            table.innerHTML = '<div class="exceedance-empty">초과확률: 모델 준비 후 표시</div>';
+            return;
+        }
+        
+        const header = prediction.horizons.map(f => `<th>+${f.hours}h</th>`).join('');
+        const rows = this.exceedanceThresholds.map(threshold => {
+            const cells = prediction.horizons.map(f => {
+                const probability = f.exceedance[threshold];
+                const level = probability >= 0.5 ? 'high' : probability >= 0.2 ? 'medium' : 'low';
+                return `<td class="exceedance-${level}">${Math.round(probability * 100)}%</td>`;
+            }).join('');
+            return `<tr><th>≥${threshold}mm/h</th>${cells}</tr>`;
+        }).join('');
+        
+        table.innerHTML = `<table><tr><th></th>${header}</tr>${rows}</table>`;
+    }
+    
+    // 침수 슬라이더에 예측 마커 표시
+    updateFloodSliderPrediction(rainfall) {
+        const floodLevel = rainfallToFloodLevel(rainfall);
+        const floodSlider = document.getElementById('floodSlider');
+        
+        if (!floodSlider) return;
+        
+        // 기존 마커 제거
+        let predictionMarker = document.getElementById('predictionMarker');
+        if (!predictionMarker) {
+            // 마커 생성
+            predictionMarker = document.createElement('div');
+            predictionMarker.id = 'predictionMarker';
+            predictionMarker.className = 'prediction-marker';
+            floodSlider.parentElement.appendChild(predictionMarker);
+            
+            // 툴팁 생성
+            const tooltip = document.createElement('div');
+            tooltip.className = 'prediction-tooltip';
+            predictionMarker.appendChild(tooltip);
+        }
+        
+        // 마커 위치 업데이트
+        const position = floodLevel; // 0-100%
+        predictionMarker.style.left = `${position}%`;
+        
+        // 툴팅 텍스트 업데이트
+        const tooltip = predictionMarker.querySelector('.prediction-tooltip');
+        if (tooltip) {
+            tooltip.textContent = `AI 예측: ${Math.round(floodLevel)}%`;
+        }
+        
+        // 마커 표시
+        predictionMarker.style.display = 'block';
+    }
+}
+
+// =====================================
+// AI 강수 예측 검증 (예측 기록 ↔ 관측 비교)
+// =====================================
+class ForecastVerifier {
+    constructor({ storageKey = 'forecast-verification', thresholds = ALERT_THRESHOLDS } = {}) {
+        this.storageKey = storageKey;
+        this.thresholds = thresholds;
+        this.retentionHours = 168; // 최근 7일 보관 (검증 정시 기준)
+        this.chartDays = 7;
+        this.models = { lstm: 'LSTM', fallback: '선형' };
+        this.selectedHorizon = 'all'; // 'all' 또는 선행시간 (시간)
+        
+        // 예측 기록 - 같은 모델·입력 관측 정시·선행시간은 최신 예측으로 교체
+        // { model, issuedAt: 예측 시각 (ms), issueHour: 입력 관측 정시 (ms), hours, validHour: 검증 정시 (ms), predicted, observed }
+        this.entries = [];
+        this.restore();
+    }
+    
+    static toHour(time) {
+        return Math.floor(new Date(time).getTime() / 3600000) * 3600000;
+    }
+    
+    // 예측 결과의 선행시간별 중앙값 기록 (observedAt: 예측에 쓴 마지막 관측 시각)
+    logPrediction(prediction, observedAt) {
+        const issueHour = ForecastVerifier.toHour(observedAt);
+        
+        prediction.horizons.forEach(({ hours, median }) => {
+            const entry = {
+                model: prediction.model,
+                issuedAt: prediction.issuedAt.getTime(),
+                issueHour,
+                hours,
+                validHour: issueHour + hours * 3600000,
+                predicted: Math.round(median * 10) / 10,
+                observed: null
+            };
+            
+            const index = this.entries.findIndex(e => (
+                e.model === entry.model && e.issueHour === issueHour && e.hours === hours
+            ));
+            if (index >= 0) {
+                this.entries[index] = entry;
+            } else {
+                this.entries.push(entry);
+            }
+        });
+        
+        this.save();
+    }
+    
+    // 매시 관측 (1시간 강수량) → 해당 정시를 검증 시각으로 하는 예측과 짝짓기
+    addObservation(observedAt, rainfall) {
+        const hour = ForecastVerifier.toHour(observedAt);
+        let matched = 0;
+        
+        this.entries.forEach(entry => {
+            if (entry.validHour === hour) {
+                entry.observed = rainfall;
+                matched++;
+            }
+        });
+        
+        // 보관 기간 지난 기록 제거
+        const cutoff = hour - this.retentionHours * 3600000;
+        this.entries = this.entries.filter(e => e.validHour > cutoff);
+        this.save();
+        
+        if (matched > 0) {
+            console.log(`🎯 예측 검증: ${new Date(hour).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' })} 관측 ${rainfall}mm/h ↔ 예측 ${matched}건`);
+        }
+    }
+    
+    // 관측과 짝지어진 기록 (horizon: 'all' 또는 선행시간)
+    getPairs(model, horizon = this.selectedHorizon) {
+        return this.entries.filter(e => (
+            e.model === model &&
+            e.observed !== null &&
+            (horizon === 'all' || e.hours === horizon)
+        ));
+    }
+    
+    // MAE/RMSE/편향 + 경보 기준별 POD/FAR/CSI
+    getScores(model, horizon = this.selectedHorizon) {
+        const pairs = this.getPairs(model, horizon);
+        return verifyForecasts(pairs.map(e => e.predicted), pairs.map(e => e.observed), this.thresholds);
+    }
+    
+    // 검증 정시(KST) 날짜별 MAE - 최근 chartDays 일
+    getDailyMAE(model, horizon = this.selectedHorizon) {
+        const today = new Date(getKSTDateString());
+        const days = [];
+        for (let i = this.chartDays - 1; i >= 0; i--) {
+            days.push(new Date(today.getTime() - i * 86400000).toISOString().slice(0, 10));
+        }
+        
+        const pairs = this.getPairs(model, horizon);
+        return days.map(day => {
+            const dayPairs = pairs.filter(e => getKSTDateString(new Date(e.validHour)) === day);
+            const scores = scorePredictions(dayPairs.map(e => e.predicted), dayPairs.map(e => e.observed));
+            return { day, mae: scores ? scores.mae : null, count: dayPairs.length };
+        });
+    }
+    
+    setHorizon(value) {
+        this.selectedHorizon = value === 'all' ? 'all' : parseInt(value, 10);
+        this.updateUI();
+    }
+    
+    // 모델별 점수 표 + 일별 MAE 그래프
+    updateUI() {
+        this.updateScoreTable();
+        this.drawChart();
+    }
+    
+    updateScoreTable() {
+        const container = document.getElementById('verificationScores');
+        if (!container) return;
+        
+        const models = Object.keys(this.models);
+        const scores = models.map(model => this.getScores(model));
+        const pending = this.entries.filter(e => e.observed === null).length;
+        
+        if (scores.every(s => !s)) {
+            container.innerHTML = `<div class="verification-empty">관측과 비교할 예측 없음 (대기 ${pending}건)</div>`;
+            return;
+        }
+        
+        const format = (value, digits = 1) => (value === null || value === undefined ? '--' : value.toFixed(digits));
+        const cells = (getter) => scores.map(s => `<td>${s ? getter(s) : '--'}</td>`).join('');
+        
+        const rows = [
+            `<tr><th>검증 건수</th>${cells(s => s.count)}</tr>`,
+            `<tr><th>MAE</th>${cells(s => format(s.mae))}</tr>`,
+            `<tr><th>RMSE</th>${cells(s => format(s.rmse))}</tr>`,
+            `<tr><th>편향</th>${cells(s => `${s.bias > 0 ? '+' : ''}${format(s.bias)}`)}</tr>`
+        ];
+        this.thresholds.forEach(threshold => {
+            rows.push(`<tr class="verification-threshold"><th colspan="${models.length + 1}">≥${threshold}mm/h</th></tr>`);
+            ['pod', 'far', 'csi'].forEach(key => {
+                rows.push(`<tr><th>${key.toUpperCase()}</th>${cells(s => format(s.categorical[threshold][key], 2))}</tr>`);
+            });
+        });
+        
+        const header = models.map(model => `<th class="verification-${model}">${this.models[model]}</th>`).join('');
+        container.innerHTML = `
+            <table>
+                <tr><th></th>${header}</tr>
+                ${rows.join('')}
+            </table>
+            <div class="verification-note">단위 mm/h · 관측 대기 ${pending}건</div>
+        `;
+    }
+    
+    // 일별 MAE 선 그래프 (LSTM vs 선형)
+    drawChart() {
+        const canvas = document.getElementById('verificationChart');
+        if (!canvas) return;
+        
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.clearRect(0, 0, width, height);
+        
+        const colors = { lstm: '#88ffcc', fallback: '#ffcc44' };
+        const series = Object.keys(this.models).map(model => ({ model, points: this.getDailyMAE(model) }));
+        const values = series.flatMap(s => s.points.map(p => p.mae)).filter(v => v !== null);
+        
+        const left = 26;
+        const right = width - 6;
+        const top = 8;
+        const bottom = height - 14;
+        const maxValue = Math.max(1, ...values) * 1.1;
+        const x = (i) => left + (i / (this.chartDays - 1)) * (right - left);
+        const y = (value) => bottom - (value / maxValue) * (bottom - top);
+        
+        // 자료가 없는 날은 선을 끊음
+        series.forEach(({ model, points }) => {
+            ctx.strokeStyle = colors[model];
+            ctx.fillStyle = colors[model];
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let started = false;
+            points.forEach((p, i) => {
+                if (p.mae === null) {
+                    started = false;
+                    return;
+                }
+                if (started) {
+                    ctx.lineTo(x(i), y(p.mae));
+                } else {
+                    ctx.moveTo(x(i), y(p.mae));
+                    started = true;
+                }
+            });
+            ctx.stroke();
+            points.forEach((p, i) => {
+                if (p.mae === null) return;
+                ctx.beginPath();
+                ctx.arc(x(i), y(p.mae), 2, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+        
+        // 축 눈금 (MAE mm/h, 날짜)
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(maxValue.toFixed(0), left - 4, top + 8);
+        ctx.fillText('0', left - 4, bottom);
+        ctx.textAlign = 'center';
+        series[0].points.forEach((p, i) => ctx.fillText(p.day.slice(8), x(i), height - 2));
+        ctx.textAlign = 'left';
+        
+        if (values.length === 0) {
+            ctx.fillText('검증 자료 없음', left + 8, (top + bottom) / 2);
+        }
+    }
+    
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('예측 검증 기록 저장 실패:', error);
+        }
+    }
+    
+    restore() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            const cutoff = Date.now() - this.retentionHours * 3600000;
+            this.entries = saved.filter(e => e.validHour > cutoff);
+            if (this.entries.length > 0) {
+                console.log(`💾 예측 검증 기록 복원: ${this.entries.length}건`);
+            }
+        } catch (error) {
+            this.entries = [];
+        }
+    }
+    
+    clear() {
+        this.entries = [];
+        this.save();
+        this.updateUI();
+    }
+}
+
+// =====================================
+// 72시간 예보 타임라인
+// =====================================
+class ForecastTimeline {
+    constructor() {
+        this.series = [];
+        this.selectedIndex = 0;
+        this.onSelect = null; // (entry, cumulativeRainfall) => void
+        
+        this.canvas = document.getElementById('forecastChart');
+        this.slider = document.getElementById('forecastSlider');
+        this.timeLabel = document.getElementById('forecastTime');
+        this.details = document.getElementById('forecastDetails');
+        
+        if (this.slider) {
+            this.slider.addEventListener('input', (e) => {
+                this.select(parseInt(e.target.value, 10));
+            });
+        }
+    }
+    
+    // 예보 시계열 갱신
+    update(forecast) {
+        if (!forecast || forecast.series.length === 0) return;
+        
+        this.series = forecast.series;
+        this.isMock = forecast.isMock;
+        this.selectedIndex = Math.min(this.selectedIndex, this.series.length - 1);
+        
+        if (this.slider) {
+            this.slider.max = this.series.length - 1;
+            this.slider.value = this.selectedIndex;
+        }
+        
+        this.draw();
+        this.updateDetails();
+    }
+    
+    // 선택 시각까지 누적 예보 강수량 (mm)
+    getCumulativeRainfall(index) {
+        return this.series.slice(0, index + 1).reduce((sum, entry) => sum + entry.pcp, 0);
+    }
+    
+    // 예보 시각 선택 (침수 수위/시간대 연동)
+    select(index) {
+        if (this.series.length === 0) return;
+        
+        this.selectedIndex = Math.max(0, Math.min(index, this.series.length - 1));
+        this.draw();
+        this.updateDetails();
+        
+        if (this.onSelect) {
+            this.onSelect(this.series[this.selectedIndex], this.getCumulativeRainfall(this.selectedIndex));
+        }
+    }
+    
+    // 선택 시각 정보 표시
+    updateDetails() {
+        const entry = this.series[this.selectedIndex];
+        if (!entry) return;
+        
+        if (this.timeLabel) {
+            const timeStr = entry.time.toLocaleString('ko-KR', {
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                timeZone: 'Asia/Seoul'
+            });
+            // 선행시간은 현재 시각 기준 (첫 항목이 현재 정시일 수 있음)
+            const lead = Math.ceil((entry.time.getTime() - Date.now()) / 3600000);
+            this.timeLabel.textContent = `${timeStr} (${lead > 0 ? `+${lead}h` : '현재'})`;
+        }
+        
+        if (this.details) {
+            const pop = entry.pop !== null ? `${entry.pop}%` : '--';
+            const tmp = entry.tmp !== null ? `${entry.tmp}°C` : '--';
+            const reh = entry.reh !== null ? `${entry.reh}%` : '--';
+            const cumulative = this.getCumulativeRainfall(this.selectedIndex);
+            this.details.textContent = `강수 ${entry.pcp}mm · 확률 ${pop} · 기온 ${tmp} · 습도 ${reh} · 누적 ${cumulative.toFixed(1)}mm${this.isMock ? ' (Mock)' : ''}`;
+        }
+    }
+    
+    // 강수량 막대 + 강수확률 선 그래프
+    draw() {
+        if (!this.canvas) return;
+        
+        const ctx = this.canvas.getContext('2d');
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const count = this.series.length;
+        ctx.clearRect(0, 0, width, height);
+        if (count === 0) return;
+        
+        const maxPcp = Math.max(10, ...this.series.map(entry => entry.pcp));
+        const barWidth = width / count;
+        
+        // 강수량 막대 (초단기예보 구간은 진하게)
+        this.series.forEach((entry, i) => {
+            const barHeight = (entry.pcp / maxPcp) * (height - 10);
+            ctx.fillStyle = entry.source === 'ultraShort' ? 'rgba(68, 136, 255, 0.9)' : 'rgba(68, 136, 255, 0.5)';
+            ctx.fillRect(i * barWidth, height - barHeight, Math.max(1, barWidth - 1), barHeight);
+        });
+        
+        // 강수확률 선
+        ctx.strokeStyle = 'rgba(255, 204, 68, 0.9)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let started = false;
+        this.series.forEach((entry, i) => {
+            if (entry.pop === null) return;
+            const x = i * barWidth + barWidth / 2;
+            const y = height - (entry.pop / 100) * (height - 10);
+            if (started) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                started = true;
+            }
+        });
+        ctx.stroke();
+        
+        // 선택 시각 표시
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(this.selectedIndex * barWidth + barWidth / 2 - 1, 0, 2, height);
+        
+        // 최대 강수량 눈금
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '10px Arial';
+        ctx.fillText(`${maxPcp.toFixed(0)}mm`, 2, 10);
+    }
+}
+
+// =====================================
+// 과거 호우 사례 재현 (기록 관측 자료 재생)
+// =====================================
+class StormEventReplay {
+    constructor() {
+        this.name = null;
+        this.records = [];        // { time: Date, rainfall, temperature, humidity, windSpeed, windDirection }
+        this.currentIndex = 0;
+        this.isPlaying = false;
+        this.isActive = false;    // 재현 모드 (실시간 자료 대신 기록 자료 표시)
+        this.hoursPerSecond = 1;  // 재생 속도 (기록 시간/초)
+        this.accumulator = new RainfallAccumulator({ persist: false });
+        this.currentData = null;
+        this.onFrame = null;      // (data) => void
+        this.onStateChange = null;
+        
+        // 열 이름 별칭 (영문/기상청 자료 형식)
+        this.columnAliases = {
+            time: ['time', 'datetime', 'timestamp', '일시', '시각'],
+            rainfall: ['rainfall', 'rn1', 'precipitation', '강수량', '강수량(mm)'],
+            temperature: ['temperature', 't1h', 'temp', '기온', '기온(°c)'],
+            humidity: ['humidity', 'reh', '습도', '습도(%)'],
+            windSpeed: ['windspeed', 'wsd', '풍속', '풍속(m/s)'],
+            windDirection: ['winddirection', 'vec', '풍향', '풍향(16방위)']
+        };
+    }
+    
+    // 파일 로드 (CSV 또는 JSON)
+    async loadFile(file) {
+        const text = await file.text();
+        const name = file.name.replace(/\.(csv|json)$/i, '');
+        const rows = file.name.toLowerCase().endsWith('.json') ? this.parseJSON(text) : this.parseCSV(text);
+        this.load(rows, name);
+    }
+    
+    // 레코드 배열 로드
+    load(rows, name) {
+        this.records = rows
+            .map(row => this.normalizeRow(row))
+            .filter(record => record !== null)
+            .sort((a, b) => a.time - b.time);
+        
+        if (this.records.length === 0) {
+            throw new Error('재현 가능한 관측 기록이 없습니다 (시각/강수량 열 확인)');
+        }
+        
+        this.name = name;
+        this.isActive = true;
+        this.seek(0);
+        console.log(`📼 호우 사례 로드: ${name} (${this.records.length}시간)`);
+    }
+    
+    parseJSON(text) {
+        const data = JSON.parse(text);
+        return Array.isArray(data) ? data : (data.records || data.observations || []);
+    }
+    
+    parseCSV(text) {
+        const lines = text.trim().split(/\r?\n/);
+        const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
+        
+        return lines.slice(1).map(line => {
+            const values = line.split(',').map(v => v.trim().replace(/^"|"$/g, ''));
+            const row = {};
+            headers.forEach((header, i) => {
+                row[header] = values[i];
+            });
+            return row;
+        });
+    }
+    
+    // 열 별칭으로 값 찾기
+    pick(row, field) {
+        const key = Object.keys(row).find(k => this.columnAliases[field].includes(k.trim().toLowerCase()));
+        return key !== undefined ? row[key] : undefined;
+    }
+    
+    normalizeRow(row) {
+        const timeValue = this.pick(row, 'time');
+        if (!timeValue) return null;
+        
+        // 시간대 표기가 없으면 KST로 간주 ("2025-07-16 14:00")
+        const isoText = String(timeValue).trim().replace(' ', 'T');
+        const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(isoText);
+        const time = new Date(hasZone ? isoText : `${isoText}+09:00`);
+        if (Number.isNaN(time.getTime())) return null;
+        
+        const number = (value) => {
+            const parsed = parseFloat(value);
+            return Number.isNaN(parsed) ? null : parsed;
+        };
+        
+        return {
+            time,
+            rainfall: number(this.pick(row, 'rainfall')) ?? 0,
+            temperature: number(this.pick(row, 'temperature')),
+            humidity: number(this.pick(row, 'humidity')),
+            windSpeed: number(this.pick(row, 'windSpeed')),
+            windDirection: number(this.pick(row, 'windDirection'))
+        };
+    }
+    
+    // 특정 시각으로 이동 (누적 강수량은 처음부터 다시 계산)
+    seek(index) {
+        this.currentIndex = Math.max(0, Math.min(index, this.records.length - 1));
+        
+        this.accumulator.clear();
+        for (let i = 0; i <= this.currentIndex; i++) {
+            this.accumulator.addObservation(this.records[i].time, this.records[i].rainfall);
+        }
+        
+        this.emitFrame();
+    }
+    
+    // 현재 레코드를 기상 데이터 형식으로 전달
+    emitFrame() {
+        const record = this.records[this.currentIndex];
+        
+        // 기온/습도/바람 결측 시 직전 값 유지
+        const previous = this.currentData;
+        const accumulation = this.accumulator.getAccumulation();
+        
+        this.currentData = {
+            rainfall: record.rainfall,
+            totalRainfall: accumulation.event,
+            accumulation,
+            temperature: record.temperature ?? previous?.temperature ?? 0,
+            humidity: record.humidity ?? previous?.humidity ?? 0,
+            windSpeed: record.windSpeed ?? previous?.windSpeed ?? 0,
+            windDirection: record.windDirection ?? previous?.windDirection ?? 0,
+            lastUpdate: record.time,
+            replay: { name: this.name, index: this.currentIndex, total: this.records.length }
+        };
+        
+        if (this.onFrame) this.onFrame(this.currentData);
+        this.updateUI();
+    }
+    
+    play() {
+        if (this.isPlaying || this.records.length === 0) return;
+        
+        // 끝에서 재생하면 처음부터
+        if (this.currentIndex >= this.records.length - 1) {
+            this.seek(0);
+        }
+        
+        this.isPlaying = true;
+        this.notifyStateChange();
+        console.log('▶️ 호우 사례 재현 시작');
+        this.playLoop();
+    }
+    
+    playLoop() {
+        if (!this.isPlaying) return;
+        
+        this.timeoutId = setTimeout(() => {
+            if (!this.isPlaying) return;
+            
+            if (this.currentIndex >= this.records.length - 1) {
+                this.pause();
+                return;
+            }
+            
+            this.currentIndex++;
+            const record = this.records[this.currentIndex];
+            this.accumulator.addObservation(record.time, record.rainfall);
+            this.emitFrame();
+            this.playLoop();
+        }, 1000 / this.hoursPerSecond);
+    }
+    
+    pause() {
+        this.isPlaying = false;
+        clearTimeout(this.timeoutId);
+        this.notifyStateChange();
+        console.log('⏸️ 호우 사례 재현 일시정지');
+    }
+    
+    // 재현 종료 (실시간 모드로 복귀)
+    stop() {
+        this.pause();
+        this.isActive = false;
+        this.currentData = null;
+        this.notifyStateChange();
+        console.log('⏹️ 호우 사례 재현 종료');
+    }
+    
+    setSpeed(hoursPerSecond) {
+        this.hoursPerSecond = hoursPerSecond;
+    }
+    
+    notifyStateChange() {
+        if (this.onStateChange) this.onStateChange(this);
+    }
+    
+    updateUI() {
+        const progress = document.getElementById('replayProgress');
+        const timeLabel = document.getElementById('replayTime');
+        const record = this.records[this.currentIndex];
+        
+        if (progress) {
+            progress.max = this.records.length - 1;
+            progress.value = this.currentIndex;
+        }
+        
+        if (timeLabel && record) {
+            const timeStr = record.time.toLocaleString('ko-KR', {
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                timeZone: 'Asia/Seoul'
+            });
+            timeLabel.textContent = `${timeStr} (${this.currentIndex + 1}/${this.records.length})`;
+        }
+    }
+}
+
+// =====================================
+// 지형 기반 침수 범위 계산 (하천 연결성 고려)
+// =====================================
+
+// 우선순위 큐 (최소 힙) - 침수 전파 계산용
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(index, priority) {
+        const items = this.items;
+        items.push({ index, priority });
+
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+}
+
+class TerrainFloodMapper {
+    constructor(vertices, resolution = 256) {
+        this.resolution = resolution;
+        this.heights = new Float32Array(resolution * resolution);
+        this.spillElevations = new Float32Array(resolution * resolution);
+        this.riverSourcePercentile = 0.02; // 최저 고도 2% 셀을 하천(경호강) 발원 셀로 간주
+
+        this.buildHeightGrid(vertices);
+        this.computeSpillElevations();
+    }
+
+    // 정점 → 격자 평균 고도 (모델 로컬 좌표)
+    buildHeightGrid(vertices) {
+        const res = this.resolution;
+
+        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        vertices.forEach(v => {
+            minX = Math.min(minX, v.x);
+            maxX = Math.max(maxX, v.x);
+            minZ = Math.min(minZ, v.z);
+            maxZ = Math.max(maxZ, v.z);
+        });
+
+        this.bounds = { minX, maxX, minZ, maxZ };
+        this.cellSizeX = (maxX - minX) / res;
+        this.cellSizeZ = (maxZ - minZ) / res;
+
+        const sums = new Float64Array(res * res);
+        const counts = new Uint32Array(res * res);
+
+        vertices.forEach(v => {
+            const index = this.cellIndexAt(v.x, v.z);
+            sums[index] += v.y;
+            counts[index]++;
+        });
+
+        for (let i = 0; i < res * res; i++) {
+            this.heights[i] = counts[i] > 0 ? sums[i] / counts[i] : NaN;
+        }
+
+        this.fillEmptyCells();
+    }
+
+    // 정점이 없는 셀은 주변 셀 평균으로 보간
+    fillEmptyCells(maxPasses = 8) {
+        const res = this.resolution;
+        const heights = this.heights;
+
+        for (let pass = 0; pass < maxPasses; pass++) {
+            let remaining = 0;
+            const filled = heights.slice();
+
+            for (let row = 0; row < res; row++) {
+                for (let col = 0; col < res; col++) {
+                    const index = row * res + col;
+                    if (!Number.isNaN(heights[index])) continue;
+
+                    let sum = 0;
+                    let count = 0;
+                    this.forEachNeighbor(index, neighbor => {
+                        if (!Number.isNaN(heights[neighbor])) {
+                            sum += heights[neighbor];
+                            count++;
+                        }
+                    });
+
+                    if (count > 0) {
+                        filled[index] = sum / count;
+                    } else {
+                        remaining++;
+                    }
+                }
+            }
+
+            heights.set(filled);
+            if (remaining === 0) break;
+        }
+    }
+
+    // 로컬 좌표 → 셀 인덱스
+    cellIndexAt(x, z) {
+        const res = this.resolution;
+        const col = Math.min(res - 1, Math.max(0, Math.floor((x - this.bounds.minX) / this.cellSizeX)));
+        const row = Math.min(res - 1, Math.max(0, Math.floor((z - this.bounds.minZ) / this.cellSizeZ)));
+        return row * res + col;
+    }
+
+    // 4방향 이웃 셀 순회
+    forEachNeighbor(index, callback) {
+        const res = this.resolution;
+        const row = Math.floor(index / res);
+        const col = index % res;
+
+        if (col > 0) callback(index - 1);
+        if (col < res - 1) callback(index + 1);
+        if (row > 0) callback(index - res);
+        if (row < res - 1) callback(index + res);
+    }
+
+    // 하천 발원 셀 선정 (최저 고도 구간)
+    findRiverSources() {
+        const valid = [];
+        this.heights.forEach((h, i) => {
+            if (!Number.isNaN(h)) valid.push(i);
+        });
+
+        valid.sort((a, b) => this.heights[a] - this.heights[b]);
+        const count = Math.max(1, Math.floor(valid.length * this.riverSourcePercentile));
+
+        return valid.slice(0, count);
+    }
+
+    // 각 셀이 하천과 연결되어 잠기기 시작하는 수위 계산 (Priority-Flood)
+    // 하천에서 해당 셀까지 경로 중 가장 높은 지점의 최소값
+    computeSpillElevations() {
+        const spill = this.spillElevations;
+        spill.fill(Infinity);
+
+        const heap = new MinHeap();
+        this.findRiverSources().forEach(index => {
+            spill[index] = this.heights[index];
+            heap.push(index, spill[index]);
+        });
+
+        while (heap.size > 0) {
+            const { index, priority } = heap.pop();
+            if (priority > spill[index]) continue;
+
+            this.forEachNeighbor(index, neighbor => {
+                const height = this.heights[neighbor];
+                if (Number.isNaN(height)) return;
+
+                const candidate = Math.max(priority, height);
+                if (candidate < spill[neighbor]) {
+                    spill[neighbor] = candidate;
+                    heap.push(neighbor, candidate);
+                }
+            });
+        }
+    }
+
+    // 주어진 수위(모델 로컬 Y)에서 침수되는 셀 마스크
+    computeInundation(waterLevel) {
+        const mask = new Uint8Array(this.spillElevations.length);
+        let floodedCount = 0;
+
+        for (let i = 0; i < mask.length; i++) {
+            if (this.spillElevations[i] <= waterLevel) {
+                mask[i] = 1;
+                floodedCount++;
+            }
+        }
+
+        return { mask, floodedCount };
+    }
+
+    // 지형 표면 격자 (셀 중심 높이 + offset), uv는 북쪽이 v=1
+    createSurfaceGeometry(offset = 0) {
+        const res = this.resolution;
+        const { minX, minZ } = this.bounds;
+        const positions = new Float32Array(res * res * 3);
+        const uvs = new Float32Array(res * res * 2);
+
+        for (let row = 0; row < res; row++) {
+            for (let col = 0; col < res; col++) {
+                const index = row * res + col;
+                positions[index * 3] = minX + (col + 0.5) * this.cellSizeX;
+                positions[index * 3 + 1] = Number.isNaN(this.heights[index]) ? 0 : this.heights[index] + offset;
+                positions[index * 3 + 2] = minZ + (row + 0.5) * this.cellSizeZ;
+                uvs[index * 2] = (col + 0.5) / res;
+                uvs[index * 2 + 1] = 1 - (row + 0.5) / res;
+            }
+        }
+
+        const indices = [];
+        for (let row = 0; row < res - 1; row++) {
+            for (let col = 0; col < res - 1; col++) {
+                const a = row * res + col;
+                const b = a + 1;
+                const c = a + res;
+                const d = c + 1;
+                if ([a, b, c, d].some(i => Number.isNaN(this.heights[i]))) continue; // 고도 없는 셀
+                indices.push(a, c, b, b, c, d);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+
+        return geometry;
+    }
+
+    // 침수 셀만 포함하는 수면 지오메트리 생성 (모델 로컬 좌표)
+    createWaterGeometry(mask, waterLevel) {
+        const res = this.resolution;
+        const { minX, minZ } = this.bounds;
+        const vertexCount = (res + 1) * (res + 1);
+
+        const positions = new Float32Array(vertexCount * 3);
+        const normals = new Float32Array(vertexCount * 3);
+
+        for (let row = 0; row <= res; row++) {
+            for (let col = 0; col <= res; col++) {
+                const v = (row * (res + 1) + col) * 3;
+                positions[v] = minX + col * this.cellSizeX;
+                positions[v + 1] = waterLevel;
+                positions[v + 2] = minZ + row * this.cellSizeZ;
+                normals[v + 1] = 1;
+            }
+        }
+
+        const indices = [];
+        for (let row = 0; row < res; row++) {
+            for (let col = 0; col < res; col++) {
+                if (!mask[row * res + col]) continue;
+
+                const a = row * (res + 1) + col;
+                const b = a + 1;
+                const c = a + (res + 1);
+                const d = c + 1;
+                indices.push(a, c, b, b, c, d);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setIndex(indices);
+
+        return geometry;
+    }
+}
+
+// =====================================
+// 수문 시뮬레이션 (D8 흐름방향 + 셀룰러 오토마타 수심 계산)
+// =====================================
+class HydrologySimulator {
+    constructor(floodMapper, parent) {
+        this.mapper = floodMapper;
+        this.parent = parent; // 수면 메시를 붙일 지형 모델
+        this.resolution = floodMapper.resolution;
+        this.cellSize = Math.min(floodMapper.cellSizeX, floodMapper.cellSizeZ); // m (모델 단위)
+
+        const cellCount = this.resolution * this.resolution;
+        this.depths = new Float32Array(cellCount);           // 셀별 수심 (m)
+        this.delta = new Float32Array(cellCount);            // 스텝별 수심 변화량
+        this.flowDirections = new Int32Array(cellCount);     // D8 하류 셀 (-1: 웅덩이/유역 밖)
+        this.flowAccumulation = new Float32Array(cellCount); // 상류 기여 셀 수
+        this.roughness = new Float32Array(cellCount);        // Manning 조도계수
+
+        this.timeStep = 300;             // 내부 계산 간격 (초)
+        this.hoursPerSecond = 1;         // 실제 1초당 시뮬레이션 진행 시간
+        this.tickInterval = 250;         // 화면 갱신 주기 (ms)
+        this.runoffCoefficient = 0.7;    // 유출 계수 (산지 기준)
+        this.infiltrationRate = 2;       // 침투량 (mm/h)
+        this.channelRatio = 0.01;        // 전체 셀 대비 상류 면적 1% 이상이면 하도로 간주
+        this.minDisplayDepth = 0.05;     // 표시 최소 수심 (m)
+
+        // 셀별 강수 강도 (mm/h) 공급 함수
+        this.rainfallProvider = () => 0;
+
+        this.elapsedHours = 0;
+        this.outflowDepth = 0; // 유역 밖으로 빠져나간 물 (셀 수심 합계, m)
+        this.isRunning = false;
+        this.waterMesh = null;
+
+        this.computeFlowDirections();
+        this.computeFlowAccumulation();
+    }
+
+    // D8 흐름방향: 8방향 중 경사가 가장 급한 하류 셀
+    computeFlowDirections() {
+        const res = this.resolution;
+        const heights = this.mapper.heights;
+        const { cellSizeX, cellSizeZ } = this.mapper;
+        const diagonal = Math.hypot(cellSizeX, cellSizeZ);
+
+        for (let row = 0; row < res; row++) {
+            for (let col = 0; col < res; col++) {
+                const index = row * res + col;
+                const h = heights[index];
+                let steepest = 0;
+                let target = -1;
+
+                for (let dr = -1; dr <= 1; dr++) {
+                    for (let dc = -1; dc <= 1; dc++) {
+                        if (dr === 0 && dc === 0) continue;
+                        const r = row + dr;
+                        const c = col + dc;
+                        if (r < 0 || r >= res || c < 0 || c >= res) continue;
+
+                        const neighbor = r * res + c;
+                        const distance = dr !== 0 && dc !== 0 ? diagonal : (dr !== 0 ? cellSizeZ : cellSizeX);
+                        const slope = (h - heights[neighbor]) / distance;
+                        if (slope > steepest) {
+                            steepest = slope;
+                            target = neighbor;
+                        }
+                    }
+                }
+
+                this.flowDirections[index] = target;
+            }
+        }
+    }
+
+    // 흐름 누적: 높은 셀부터 하류로 기여 면적 전달
+    computeFlowAccumulation() {
+        const heights = this.mapper.heights;
+        const cellCount = this.flowAccumulation.length;
+        const order = Array.from({ length: cellCount }, (_, i) => i)
+            .filter(i => !Number.isNaN(heights[i]))
+            .sort((a, b) => heights[b] - heights[a]);
+
+        this.flowAccumulation.fill(1);
+        order.forEach(index => {
+            const downstream = this.flowDirections[index];
+            if (downstream >= 0) {
+                this.flowAccumulation[downstream] += this.flowAccumulation[index];
+            }
+        });
+
+        // 하도 셀은 조도계수를 낮춰 빠르게 배수
+        const channelThreshold = cellCount * this.channelRatio;
+        for (let i = 0; i < cellCount; i++) {
+            this.roughness[i] = this.flowAccumulation[i] >= channelThreshold ? 0.035 : 0.08;
+        }
+    }
+
+    // 1 스텝 계산 (dt: 초)
+    step(dt) {
+        const res = this.resolution;
+        const heights = this.mapper.heights;
+        const depths = this.depths;
+        const delta = this.delta;
+        const cellSize = this.cellSize;
+        const toMeters = dt / 3600 / 1000; // mm/h → m
+
+        // 1) 강우 유입 - 침투 손실
+        for (let i = 0; i < depths.length; i++) {
+            if (Number.isNaN(heights[i])) continue;
+            const rainfall = this.rainfallProvider(i) * this.runoffCoefficient;
+            depths[i] = Math.max(0, depths[i] + (rainfall - this.infiltrationRate) * toMeters);
+        }
+
+        // 2) 수면 경사에 따른 이웃 셀로 흐름 분배 (Manning 유속으로 이동량 제한)
+        delta.fill(0);
+        const drops = new Float32Array(4);
+        const neighbors = new Int32Array(4);
+
+        for (let row = 0; row < res; row++) {
+            for (let col = 0; col < res; col++) {
+                const index = row * res + col;
+                const depth = depths[index];
+                if (depth < 1e-4 || Number.isNaN(heights[index])) continue;
+
+                const surface = heights[index] + depth;
+                neighbors[0] = col > 0 ? index - 1 : -1;
+                neighbors[1] = col < res - 1 ? index + 1 : -1;
+                neighbors[2] = row > 0 ? index - res : -1;
+                neighbors[3] = row < res - 1 ? index + res : -1;
+
+                let totalDrop = 0;
+                let maxDrop = 0;
+                for (let k = 0; k < 4; k++) {
+                    const neighbor = neighbors[k];
+                    let drop;
+                    if (neighbor < 0) {
+                        drop = depth; // 경계: 자유 유출
+                    } else if (Number.isNaN(heights[neighbor])) {
+                        drop = 0;
+                    } else {
+                        drop = Math.max(0, surface - heights[neighbor] - depths[neighbor]);
+                    }
+                    drops[k] = drop;
+                    totalDrop += drop;
+                    maxDrop = Math.max(maxDrop, drop);
+                }
+
+                if (totalDrop <= 0) continue;
+
+                const slope = maxDrop / cellSize;
+                const velocity = Math.pow(depth, 2 / 3) * Math.sqrt(slope) / this.roughness[index];
+                const courant = Math.min(1, velocity * dt / cellSize);
+                const movable = Math.min(depth, maxDrop / 2) * courant;
+
+                for (let k = 0; k < 4; k++) {
+                    if (drops[k] <= 0) continue;
+                    const share = movable * drops[k] / totalDrop;
+                    delta[index] -= share;
+                    if (neighbors[k] >= 0) {
+                        delta[neighbors[k]] += share;
+                    } else {
+                        this.outflowDepth += share;
+                    }
+                }
+            }
+        }
+
+        for (let i = 0; i < depths.length; i++) {
+            depths[i] = Math.max(0, depths[i] + delta[i]);
+        }
+
+        this.elapsedHours += dt / 3600;
+    }
+
+    // 지정 시간만큼 진행 (시간 단위)
+    advance(hours) {
+        const steps = Math.max(1, Math.ceil(hours * 3600 / this.timeStep));
+        const dt = hours * 3600 / steps;
+        for (let i = 0; i < steps; i++) {
+            this.step(dt);
+        }
+    }
+
+    // 수심 통계
+    getStats() {
+        let maxDepth = 0;
+        let wetCells = 0;
+        for (let i = 0; i < this.depths.length; i++) {
+            maxDepth = Math.max(maxDepth, this.depths[i]);
+            if (this.depths[i] >= this.minDisplayDepth) wetCells++;
+        }
+
+        const cellArea = this.mapper.cellSizeX * this.mapper.cellSizeZ;
+        return {
+            elapsedHours: this.elapsedHours,
+            maxDepth,
+            floodedArea: wetCells * cellArea / 1e6 // km²
+        };
+    }
+
+    // 수면 메시 생성 (셀별 사각형, 수심에 따라 색상)
+    // 버퍼는 전체 셀 크기로 한 번만 만들고 갱신 때마다 내용만 바꿈 (인덱스는 drawRange 로 잠긴 셀만 그림)
+    createWaterMesh() {
+        const cellCount = this.depths.length;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(cellCount * 4 * 3), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(cellCount * 4 * 3), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setIndex(new THREE.BufferAttribute(new Uint32Array(cellCount * 6), 1).setUsage(THREE.DynamicDrawUsage));
+
+        const material = new THREE.MeshStandardMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.7,
+            side: THREE.DoubleSide,
+            roughness: 0.3,
+            metalness: 0.1
+        });
+
+        this.waterMesh = new THREE.Mesh(geometry, material);
+        this.waterMesh.name = 'hydrologyWater';
+        this.parent.add(this.waterMesh);
+    }
+
+    // 수면 메시 제거 (GPU 버퍼 해제)
+    disposeWaterMesh() {
+        if (!this.waterMesh) return;
+        this.parent.remove(this.waterMesh);
+        this.waterMesh.geometry.dispose();
+        this.waterMesh.material.dispose();
+        this.waterMesh = null;
+    }
+
+    // 현재 수심으로 수면 메시 갱신
+    updateWaterMesh() {
+        if (!this.waterMesh) this.createWaterMesh();
+
+        const res = this.resolution;
+        const { minX, minZ } = this.mapper.bounds;
+        const { cellSizeX, cellSizeZ, heights } = this.mapper;
+        const positions = this.waterMesh.geometry.attributes.position;
+        const colors = this.waterMesh.geometry.attributes.color;
+        const index = this.waterMesh.geometry.index;
+        const indices = index.array;
+        const shallow = new THREE.Color(0x88ccff);
+        const deep = new THREE.Color(0x0033aa);
+        const color = new THREE.Color();
+        let count = 0;
+
+        for (let row = 0; row < res; row++) {
+            for (let col = 0; col < res; col++) {
+                const cell = row * res + col;
+                const depth = this.depths[cell];
+                if (depth < this.minDisplayDepth) continue;
+
+                const y = heights[cell] + depth;
+                const x0 = minX + col * cellSizeX;
+                const z0 = minZ + row * cellSizeZ;
+                const v = cell * 4;
+
+                positions.setXYZ(v, x0, y, z0);
+                positions.setXYZ(v + 1, x0 + cellSizeX, y, z0);
+                positions.setXYZ(v + 2, x0, y, z0 + cellSizeZ);
+                positions.setXYZ(v + 3, x0 + cellSizeX, y, z0 + cellSizeZ);
+
+                // 수심 3m 이상은 최대 진하기
+                color.lerpColors(shallow, deep, Math.min(1, depth / 3));
+                for (let k = 0; k < 4; k++) {
+                    colors.setXYZ(v + k, color.r, color.g, color.b);
+                }
+
+                indices.set([v, v + 2, v + 1, v + 1, v + 2, v + 3], count);
+                count += 6;
+            }
+        }
+
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        index.needsUpdate = true;
+        this.waterMesh.geometry.setDrawRange(0, count);
+        this.waterMesh.geometry.computeVertexNormals();
+        this.waterMesh.geometry.computeBoundingSphere();
+    }
+
+    // 주기 갱신
+    tick() {
+        this.advance(this.hoursPerSecond * this.tickInterval / 1000);
+        this.updateWaterMesh();
+        this.updateUI();
+    }
+
+    // 시뮬레이션 시작
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.intervalId = setInterval(() => this.tick(), this.tickInterval);
+        console.log('💧 수문 시뮬레이션 시작');
+    }
+
+    // 시뮬레이션 일시정지
+    stop() {
+        this.isRunning = false;
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+        }
+        console.log('⏸️ 수문 시뮬레이션 정지');
+    }
+
+    // 수심 초기화
+    reset() {
+        this.depths.fill(0);
+        this.elapsedHours = 0;
+        this.outflowDepth = 0;
+        this.disposeWaterMesh(); // 다음 갱신 때 새로 생성
+        this.updateUI();
+    }
+
+    // UI 업데이트
+    updateUI() {
+        const stats = this.getStats();
+        const timeElement = document.getElementById('hydrologyTime');
+        const depthElement = document.getElementById('hydrologyDepth');
+        const areaElement = document.getElementById('hydrologyArea');
+
+        if (timeElement) timeElement.textContent = `${stats.elapsedHours.toFixed(1)} 시간`;
+        if (depthElement) depthElement.textContent = `${stats.maxDepth.toFixed(2)} m`;
+        if (areaElement) areaElement.textContent = `${stats.floodedArea.toFixed(2)} km²`;
+    }
+}
+
+// =====================================
+// 지점별 침수 심도 조회 (지형 클릭)
+// =====================================
+class FloodDepthInspector {
+    constructor({ camera, domElement, model, floodMapper, minY, maxY, getFloodLevel, getSimulator }) {
+        this.camera = camera;
+        this.domElement = domElement;
+        this.model = model;
+        this.floodMapper = floodMapper;
+        this.minY = minY;
+        this.maxY = maxY;
+        this.getFloodLevel = getFloodLevel;   // 현재 침수 수위 (%)
+        this.getSimulator = getSimulator;     // 수문 시뮬레이터 (있으면 모의 수심 표시)
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pointerDown = null;
+        this.clickTolerance = 5; // px 이상 움직이면 카메라 조작으로 간주
+        this.marker = null;
+
+        this.popup = document.getElementById('depth-popup');
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.domElement.addEventListener('pointerdown', (e) => {
+            this.pointerDown = { x: e.clientX, y: e.clientY };
+        });
+
+        this.domElement.addEventListener('pointerup', (e) => {
+            if (!this.pointerDown) return;
+            const moved = Math.hypot(e.clientX - this.pointerDown.x, e.clientY - this.pointerDown.y);
+            this.pointerDown = null;
+            if (moved > this.clickTolerance) return;
+
+            this.handleClick(e);
+        });
+
+        const closeBtn = this.popup?.querySelector('.popup-close');
+        closeBtn?.addEventListener('click', () => this.hide());
+    }
+
+    // 클릭 지점 레이캐스팅
+    handleClick(event) {
+        const rect = this.domElement.getBoundingClientRect();
+        this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        // 수면/마커 메시는 제외하고 지형만 검사
+        const hit = this.raycaster.intersectObject(this.model, true)
+            .find(intersection => !['floodOverlay', 'hydrologyWater', 'depthMarker', 'radarOverlay'].includes(intersection.object.name));
+
+        if (!hit) {
+            this.hide();
+            return;
+        }
+
+        const result = this.query(hit.point);
+        this.showMarker(hit.point);
+        this.show(result, event.clientX, event.clientY);
+    }
+
+    // 지점 정보 계산
+    query(worldPoint) {
+        // 월드 좌표 → 모델 로컬 좌표 (baseScale / yScaleMultiplier 역변환 = 원본 고도)
+        const local = this.model.worldToLocal(worldPoint.clone());
+        const heightRange = this.maxY - this.minY;
+
+        // 현재 침수 수위 기준 수심
+        const levelPercent = this.getFloodLevel();
+        const waterLevel = this.minY + heightRange * (levelPercent / 100);
+        const cellIndex = this.floodMapper.cellIndexAt(local.x, local.z);
+        const spillElevation = this.floodMapper.spillElevations[cellIndex];
+        const isFlooded = spillElevation <= waterLevel;
+        const waterDepth = isFlooded ? Math.max(0, waterLevel - local.y) : 0;
+
+        // 처음 침수되는 수위 → 강수량
+        const floodStartPercent = ((spillElevation - this.minY) / heightRange) * 100;
+        const floodStartRainfall = Number.isFinite(floodStartPercent) && floodStartPercent <= 100
+            ? calculateRainfall(Math.max(0, floodStartPercent))
+            : null;
+
+        // 수문 시뮬레이션 모의 수심
+        const simulator = this.getSimulator();
+        const simulatedDepth = simulator && simulator.elapsedHours > 0 ? simulator.depths[cellIndex] : null;
+
+        return {
+            elevation: local.y,
+            levelPercent,
+            waterDepth,
+            floodStartPercent,
+            floodStartRainfall,
+            simulatedDepth
+        };
     }
-    
-    // 침수 슬라이더에 예측 마커 표시
-    updateFloodSliderPrediction(rainfall) {
-        const floodLevel = rainfallToFloodLevel(rainfall);
-        const floodSlider = document.getElementById('floodSlider');
-        
-        if (!floodSlider) return;
-        
-        // 기존 마커 제거
-        let predictionMarker = document.getElementById('predictionMarker');
-        if (!predictionMarker) {
-            // 마커 생성
-            predictionMarker = document.createElement('div');
-            predictionMarker.id = 'predictionMarker';
-            predictionMarker.className = 'prediction-marker';
-            floodSlider.parentElement.appendChild(predictionMarker);
-            
-            // 툴팁 생성
-            const tooltip = document.createElement('div');
-            tooltip.className = 'prediction-tooltip';
-            predictionMarker.appendChild(tooltip);
+
+    // 클릭 지점 표시
+    showMarker(worldPoint) {
+        if (!this.marker) {
+            const geometry = new THREE.SphereGeometry(0.08, 16, 16);
+            const material = new THREE.MeshBasicMaterial({ color: 0xff3366 });
+            this.marker = new THREE.Mesh(geometry, material);
+            this.marker.name = 'depthMarker';
         }
-        
-        // 마커 위치 업데이트
-        const position = floodLevel; // 0-100%
-        predictionMarker.style.left = `${position}%`;
-        
-        // 툴팅 텍스트 업데이트
-        const tooltip = predictionMarker.querySelector('.prediction-tooltip');
-        if (tooltip) {
-            tooltip.textContent = `AI 예측: ${Math.round(floodLevel)}%`;
+
+        this.marker.position.copy(worldPoint);
+        if (!this.marker.parent) {
+            this.model.parent.add(this.marker);
         }
-        
-        // 마커 표시
-        predictionMarker.style.display = 'block';
+        this.marker.visible = true;
+    }
+
+    // 팝업 표시
+    show(result, clientX, clientY) {
+        if (!this.popup) return;
+
+        const setText = (selector, text) => {
+            const element = this.popup.querySelector(selector);
+            if (element) element.textContent = text;
+        };
+
+        setText('.popup-elevation', `${result.elevation.toFixed(1)} m`);
+        setText('.popup-depth', result.waterDepth > 0
+            ? `${result.waterDepth.toFixed(2)} m (수위 ${result.levelPercent}%)`
+            : `침수 없음 (수위 ${result.levelPercent}%)`);
+        setText('.popup-threshold', result.floodStartRainfall !== null
+            ? `${result.floodStartRainfall} mm (수위 ${Math.round(Math.max(0, result.floodStartPercent))}%)`
+            : '500 mm 이상에서도 침수 없음');
+        setText('.popup-simulated', result.simulatedDepth !== null
+            ? `${result.simulatedDepth.toFixed(2)} m`
+            : '시뮬레이션 미실행');
+
+        this.popup.style.left = `${clientX + 15}px`;
+        this.popup.style.top = `${clientY + 15}px`;
+        this.popup.style.display = 'block';
+    }
+
+    // 팝업 숨김
+    hide() {
+        if (this.popup) this.popup.style.display = 'none';
+        if (this.marker) this.marker.visible = false;
     }
 }
 
 // Scene 설정
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x0a0a0a);
-scene.fog = new THREE.Fog(0x0a0a0a, 50, 200);
 
 // 배경 격자 추가
 const gridSize = 200;
@@ -1575,21 +5929,42 @@ verticalGrid4.position.z = 50;
 scene.add(verticalGrid4);
 
 // 위성 영상 오버레이 초기화
-const satelliteOverlay = new SatelliteImageOverlay(scene, weatherAPI.apiKey);
+const satelliteOverlay = new SatelliteImageOverlay(scene, weatherAPI.proxyUrl, geoService);
+
+// 레이더 합성 강수 레이어 초기화
+const radarLayer = new RadarPrecipitationLayer(scene, weatherAPI.proxyUrl, geoService);
 
 // 호우 감지 시스템 초기화
-const heavyRainDetector = new HeavyRainDetector(scene);
+const heavyRainDetector = new HeavyRainDetector(scene, geoService);
 
 // 타임랩스 시스템 초기화
 const satelliteTimelapse = new SatelliteTimelapse(scene, satelliteOverlay);
 
+// 폭풍 세포 추적 초기화
+const stormCellTracker = new StormCellTracker(scene, geoService);
+
 // 3D 구름 파티클 초기화
-const cloud3DParticles = new Cloud3DParticles(scene);
+const cloud3DParticles = new Cloud3DParticles(scene, geoService);
 window.cloud3DParticles = cloud3DParticles; // 전역 접근 가능하도록
 
+// 하늘·대기 렌더링 초기화 (안개 포함)
+const atmosphere = new AtmosphereRenderer(scene);
+window.atmosphere = atmosphere;
+
+// 빗줄기 파티클 초기화
+const rainSystem = new RainParticleSystem(scene, geoService);
+window.rainSystem = rainSystem;
+
+// 바람 화살표 오버레이 초기화
+const windOverlay = new WindFieldOverlay(scene, geoService);
+
 // AI 강수 예측 초기화
 const rainfallPredictor = new RainfallPredictor();
 
+// AI 예측 검증 초기화 (LSTM vs 선형 예측을 관측과 비교)
+const forecastVerifier = new ForecastVerifier();
+window.forecastVerifier = forecastVerifier;
+
 // Camera 설정
 const camera = new THREE.PerspectiveCamera(
     75,
@@ -1666,19 +6041,44 @@ sunMesh.add(glowMesh);
 const sunPointLight = new THREE.PointLight(0xffeeaa, 0.5, 50);
 sunMesh.add(sunPointLight);
 
-// 시간대별 조명 설정
+// 시간대별 조명 설정 (산청군 위경도·날짜 기준 실제 태양 위치)
+const solarCalculator = new SolarPositionCalculator(geoService.center.lat, geoService.center.lon);
+window.solarCalculator = solarCalculator;
+
 let currentTime = 12;
+let currentSolar = null;
+
+// 주어진 시각의 KST 날짜 (YYYY-MM-DD), 기본값은 오늘
+function getKSTDateString(date = new Date()) {
+    return new Date(date.getTime() + 9 * 3600000).toISOString().slice(0, 10);
+}
+
+// 선택한 날짜의 00:00 UTC (일출/일몰 계산 기준일)
+function getSolarDayStart() {
+    const dateValue = document.getElementById('sunDate')?.value || getKSTDateString();
+    return new Date(Date.parse(dateValue));
+}
+
+// 선택한 날짜 + 시각(KST) → 실제 시각(Date)
+function getSolarDate(hour) {
+    return new Date(getSolarDayStart().getTime() + (hour - 9) * 3600000);
+}
 
 function updateSunPosition(hour) {
     currentTime = hour;
     
-    const angle = ((hour - 6) / 12) * Math.PI;
-    const elevation = Math.sin(angle);
+    const date = getSolarDate(hour);
+    const position = solarCalculator.getPosition(date);
+    currentSolar = { ...position, ...solarCalculator.getSunTimes(getSolarDayStart()), date };
+    
+    // 방위각(북쪽 기준 시계방향)/고도 → 장면 방향 (동쪽 +X, 북쪽 -Z)
+    const azimuth = THREE.MathUtils.degToRad(position.azimuth);
+    const elevation = THREE.MathUtils.degToRad(position.elevation);
     
     const distance = 20;
-    const sunX = Math.cos(angle) * distance;
-    const sunY = Math.max(elevation * distance, -5);
-    const sunZ = Math.sin(angle * 0.3) * distance * 0.3;
+    const sunX = Math.sin(azimuth) * Math.cos(elevation) * distance;
+    const sunY = Math.max(Math.sin(elevation) * distance, -5);
+    const sunZ = -Math.cos(azimuth) * Math.cos(elevation) * distance;
     
     directionalLight.position.set(sunX, sunY, sunZ);
     
@@ -1687,63 +6087,48 @@ function updateSunPosition(hour) {
     
     let intensity, lightColor, sunColor, sunEmissive;
     
-    if (hour >= 5 && hour < 7) {
-        const t = (hour - 5) / 2;
-        intensity = 0.3 + t * 0.5;
-        lightColor = new THREE.Color().lerpColors(
-            new THREE.Color(0xff6b35),
-            new THREE.Color(0xffffff),
-            t
-        );
-        // 일출 - 주황빛 태양
-        sunColor = new THREE.Color().lerpColors(
-            new THREE.Color(0xff4500),
-            new THREE.Color(0xffff00),
-            t
-        );
-        sunEmissive = new THREE.Color().lerpColors(
-            new THREE.Color(0xff6b35),
-            new THREE.Color(0xffaa00),
-            t
-        );
-        sunMesh.visible = elevation > -0.2; // 지평선 아래면 숨김
-    } else if (hour >= 7 && hour < 17) {
+    if (position.elevation >= 10) {
         intensity = 1.2;
         lightColor = new THREE.Color(0xffffff);
         // 한낮 - 밝은 노란빛
         sunColor = new THREE.Color(0xffff00);
         sunEmissive = new THREE.Color(0xffaa00);
         sunMesh.visible = true;
-    } else if (hour >= 17 && hour < 19) {
-        const t = (hour - 17) / 2;
-        intensity = 0.8 - t * 0.5;
+    } else if (position.elevation >= -6) {
+        // 일출/일몰 전후 박명 (시민박명 -6° ~ 고도 10°)
+        const t = (position.elevation + 6) / 16;
+        intensity = 0.15 + t * 1.05;
         lightColor = new THREE.Color().lerpColors(
-            new THREE.Color(0xffffff),
             new THREE.Color(0xff6b35),
+            new THREE.Color(0xffffff),
             t
         );
-        // 일몰 - 붉은빛 태양
+        // 지평선 부근 - 붉은/주황빛 태양
         sunColor = new THREE.Color().lerpColors(
-            new THREE.Color(0xffff00),
             new THREE.Color(0xff3300),
+            new THREE.Color(0xffff00),
             t
         );
         sunEmissive = new THREE.Color().lerpColors(
-            new THREE.Color(0xffaa00),
             new THREE.Color(0xff4500),
+            new THREE.Color(0xffaa00),
             t
         );
-        sunMesh.visible = elevation > -0.2;
+        sunMesh.visible = position.elevation > -1; // 지평선 아래면 숨김
     } else {
         intensity = 0.15;
         lightColor = new THREE.Color(0x4d4d88);
         sunMesh.visible = false; // 밤에는 태양 숨김
     }
     
-    directionalLight.intensity = intensity;
+    // 하늘 산란과 구름 가림 반영
+    atmosphere.setSun(new THREE.Vector3(sunX, Math.sin(elevation) * distance, sunZ), position.elevation);
+    if (atmosphere.sunHidden) sunMesh.visible = false;
+    
+    directionalLight.intensity = intensity * atmosphere.directLightFactor;
     directionalLight.color = lightColor;
-    ambientLight.intensity = 0.3 + intensity * 0.3;
-    hemisphereLight.intensity = 0.3 + intensity * 0.2;
+    ambientLight.intensity = (0.3 + intensity * 0.3) * atmosphere.ambientLightFactor;
+    hemisphereLight.intensity = (0.3 + intensity * 0.2) * atmosphere.ambientLightFactor;
     
     // 태양 메시 색상 업데이트
     if (sunMesh.visible) {
@@ -1765,6 +6150,7 @@ let wireframeMode = false;
 let floodOverlay = null;
 let showFloodZone = false;
 let currentFloodLevel = 72; // 초기 침수 수위 72%
+let hydrologySimulator = null;
 
 const manager = new THREE.LoadingManager();
 manager.onError = function(url) {
@@ -1857,17 +6243,63 @@ loader.load(
         
         console.log('✨ 모델이 씬에 추가되었습니다');
         
+        // 지형 격자 기반 침수 범위 계산기 (하천과 연결된 저지대만 침수)
+        const floodMapper = new TerrainFloodMapper(allVertices);
+        window.floodMapper = floodMapper;
+        
+        // 지형 모델 기준으로 좌표 변환 서비스 등록 (위성/구름/마커 오버레이 재배치)
+        geoService.setModelTransform(model, floodMapper.bounds);
+        
+        // 수문 시뮬레이션 (현재 관측 강수량으로 시간에 따라 수심 변화)
+        hydrologySimulator = new HydrologySimulator(floodMapper, model);
+        // 강수 공간 분포가 있으면 셀별 강수량, 없으면 대표 지점 강수량
+        let rainfallGrid = null;
+        let rainfallGridSource = null;
+        hydrologySimulator.rainfallProvider = (index) => {
+            // 사례 재현 중에는 기록 강수량 사용
+            if (stormEventReplay.isActive) return stormEventReplay.currentData.rainfall;
+            
+            const field = weatherAPI.getRainfallField();
+            if (!field) return weatherAPI.currentData.rainfall;
+            if (field !== rainfallGridSource) {
+                rainfallGrid = field.toTerrainGrid(floodMapper);
+                rainfallGridSource = field;
+            }
+            return rainfallGrid[index];
+        };
+        window.hydrologySimulator = hydrologySimulator;
+        
+        // 레이더 강수 레이어를 지형 표면에 표시
+        radarLayer.attachToTerrain(model, floodMapper);
+        
+        // 지형 클릭 시 지점별 고도/수심/침수 시작 강수량 조회
+        new FloodDepthInspector({
+            camera,
+            domElement: renderer.domElement,
+            model,
+            floodMapper,
+            minY,
+            maxY,
+            getFloodLevel: () => currentFloodLevel,
+            getSimulator: () => hydrologySimulator
+        });
+        
         // 침수 위험 지역 표시 함수
         window.createFloodOverlay = function(levelPercent = currentFloodLevel) {
             if (floodOverlay) {
-                scene.remove(floodOverlay);
+                model.remove(floodOverlay);
                 floodOverlay.geometry.dispose();
                 floodOverlay.material.dispose();
             }
             
-            // 침수 위험 평면 생성 (큰 범위)
-            const floodPlaneGeometry = new THREE.PlaneGeometry(200, 200);
-            const floodPlaneMaterial = new THREE.MeshStandardMaterial({
+            // 침수 수위를 퍼센트로 계산
+            const floodLevel = minY + (maxY - minY) * (levelPercent / 100);
+            const floodHeight = geoService.elevationToSceneY(floodLevel);
+            
+            // 수위 아래이면서 하천과 연결된 셀만 수면으로 표시
+            const { mask, floodedCount } = floodMapper.computeInundation(floodLevel);
+            const floodGeometry = floodMapper.createWaterGeometry(mask, floodLevel);
+            const floodMaterial = new THREE.MeshStandardMaterial({
                 color: 0x4488ff,
                 transparent: true,
                 opacity: 0.3,  // 30% 투명도
@@ -1878,25 +6310,26 @@ loader.load(
                 metalness: 0.1
             });
             
-            floodOverlay = new THREE.Mesh(floodPlaneGeometry, floodPlaneMaterial);
-            floodOverlay.rotation.x = -Math.PI / 2;
-            
-            // 침수 수위를 퍼센트로 계산
-            const floodLevel = minY + (maxY - minY) * (levelPercent / 100);
-            const floodHeight = (floodLevel * baseScale * yScaleMultiplier) + model.position.y;
-            floodOverlay.position.y = floodHeight;
+            // 모델 자식으로 추가하여 지형과 같은 스케일/위치 적용
+            floodOverlay = new THREE.Mesh(floodGeometry, floodMaterial);
+            floodOverlay.name = 'floodOverlay';
+            model.add(floodOverlay);
             
-            scene.add(floodOverlay);
             showFloodZone = true;
+            const floodedRatio = floodedCount / (floodMapper.resolution * floodMapper.resolution) * 100;
             console.log('🌊 침수 위험 지역 표시');
             console.log('   침수 수위:', levelPercent + '%');
             console.log('   침수 기준 고도 (원본):', floodLevel.toFixed(2));
             console.log('   표시 높이:', floodHeight.toFixed(2));
+            console.log('   침수 면적 비율:', floodedRatio.toFixed(1) + '%');
         };
         
         window.hideFloodOverlay = function() {
             if (floodOverlay) {
-                scene.remove(floodOverlay);
+                model.remove(floodOverlay);
+                floodOverlay.geometry.dispose();
+                floodOverlay.material.dispose();
+                floodOverlay = null;
                 showFloodZone = false;
                 console.log('✅ 침수 위험 지역 숨김');
             }
@@ -1933,21 +6366,40 @@ timeSlider.addEventListener('input', (e) => {
     const minutes = (hour % 1) * 60;
     timeDisplay.textContent = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
     
-    if (hour >= 5 && hour < 7) {
+    // 일출/일몰 전후 1시간은 새벽/저녁, 시민박명(-6°) 아래는 밤
+    const { sunrise, solarNoon, sunset, elevation, azimuth } = currentSolar;
+    const time = currentSolar.date.getTime();
+    if (elevation < -6) {
+        timeInfo.textContent = '🌙 밤';
+    } else if (sunrise && time < sunrise.getTime() + 3600000) {
         timeInfo.textContent = '🌅 새벽';
-    } else if (hour >= 7 && hour < 12) {
-        timeInfo.textContent = '☀️ 오전';
-    } else if (hour >= 12 && hour < 17) {
-        timeInfo.textContent = '☀️ 오후';
-    } else if (hour >= 17 && hour < 19) {
+    } else if (sunset && time > sunset.getTime() - 3600000) {
         timeInfo.textContent = '🌇 저녁';
+    } else if (time < solarNoon.getTime()) {
+        timeInfo.textContent = '☀️ 오전';
     } else {
-        timeInfo.textContent = '🌙 밤';
+        timeInfo.textContent = '☀️ 오후';
     }
+    
+    const formatKST = (date) => date
+        ? date.toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'Asia/Seoul' })
+        : '-';
+    document.getElementById('sunInfo').innerHTML = `
+        일출 ${formatKST(sunrise)} · 남중 ${formatKST(solarNoon)} · 일몰 ${formatKST(sunset)}<br>
+        고도 ${elevation.toFixed(1)}° · 방위 ${azimuth.toFixed(0)}°
+    `;
+});
+
+// 날짜 선택 → 같은 시각의 태양 위치 재계산
+const sunDateInput = document.getElementById('sunDate');
+sunDateInput.value = getKSTDateString();
+sunDateInput.addEventListener('change', () => {
+    if (!sunDateInput.value) sunDateInput.value = getKSTDateString();
+    timeSlider.dispatchEvent(new Event('input'));
 });
 
 // 초기 태양 위치 설정
-updateSunPosition(12);
+timeSlider.dispatchEvent(new Event('input'));
 
 // 카메라 리셋
 document.getElementById('resetCamera').addEventListener('click', () => {
@@ -2065,42 +6517,261 @@ floodSlider.addEventListener('input', (e) => {
     }
 });
 
+// =====================================
+// 수문 시뮬레이션 UI 연동
+// =====================================
+const toggleHydrologyBtn = document.getElementById('toggleHydrology');
+if (toggleHydrologyBtn) {
+    toggleHydrologyBtn.addEventListener('click', () => {
+        if (!hydrologySimulator) return; // 모델 로드 전
+        
+        if (hydrologySimulator.isRunning) {
+            hydrologySimulator.stop();
+            toggleHydrologyBtn.textContent = '시작';
+            toggleHydrologyBtn.classList.remove('active');
+        } else {
+            hydrologySimulator.start();
+            toggleHydrologyBtn.textContent = '정지';
+            toggleHydrologyBtn.classList.add('active');
+        }
+    });
+}
+
+const resetHydrologyBtn = document.getElementById('resetHydrology');
+if (resetHydrologyBtn) {
+    resetHydrologyBtn.addEventListener('click', () => {
+        hydrologySimulator?.reset();
+    });
+}
+
+const hydrologySpeedSlider = document.getElementById('hydrologySpeed');
+const hydrologySpeedValue = document.getElementById('hydrologySpeedValue');
+if (hydrologySpeedSlider && hydrologySpeedValue) {
+    hydrologySpeedSlider.addEventListener('input', (e) => {
+        const hoursPerSecond = parseFloat(e.target.value);
+        if (hydrologySimulator) {
+            hydrologySimulator.hoursPerSecond = hoursPerSecond;
+        }
+        hydrologySpeedValue.textContent = `${hoursPerSecond}시간/초`;
+    });
+}
+
 console.log('💡 침수 지역 표시: "침수지역 표시" 버튼 클릭');
 console.log('💡 또는 콘솔에서 toggleFloodZone() 함수 실행');
 console.log('💡 침수 수위 조절: 우측 하단 슬라이더 사용');
 
+// =====================================
+// 기상 연출 갱신 (하늘·안개, 빗줄기, 구름 이동, 바람 화살표)
+// =====================================
+function updateWeatherEffects({ humidity, rainfall, windSpeed = 0, windDirection = 0, windSamples = weatherAPI.getWindSamples() }) {
+    atmosphere.setConditions({ humidity, rainfall, alertLevel: heavyRainDetector.alertLevel });
+    rainSystem.setConditions({ rainfall, windSpeed, windDirection });
+    cloud3DParticles.setWind(windSpeed, windDirection);
+    windOverlay.update(windSamples, { windSpeed, windDirection });
+    updateSunPosition(currentTime); // 운량에 따른 조명 감쇠 재적용
+}
+
 // =====================================
 // 실시간 기상 데이터 UI 업데이트
 // =====================================
 function updateWeatherUI(data) {
+    // 타임랩스로 과거 장면을 보는 중이면 현재 장면으로 복귀
+    if (satelliteTimelapse.isViewingPast) {
+        satelliteTimelapse.exitToLive();
+    }
+    
     document.getElementById('currentRainfall').textContent = `${data.rainfall} mm/h`;
     document.getElementById('totalRainfall').textContent = `${data.totalRainfall} mm`;
     document.getElementById('temperature').textContent = `${data.temperature} °C`;
     document.getElementById('humidity').textContent = `${data.humidity} %`;
+    document.getElementById('wind').textContent = data.windSpeed > 0
+        ? `${windDirectionName(data.windDirection)} ${data.windSpeed} m/s (${data.windDirection}°)`
+        : '고요';
+    
+    // 기간별 누적 강수량
+    const accumulationElement = document.getElementById('accumulationDetails');
+    if (accumulationElement && data.accumulation) {
+        const a = data.accumulation;
+        accumulationElement.textContent = `1h ${a.h1} · 3h ${a.h3} · 6h ${a.h6} · 12h ${a.h12} · 24h ${a.h24} mm`;
+    }
+    
+    // 지점별 최대 강수량 (국지 호우) - 사례 재현 중에는 실시간 분포 미사용
+    const field = data.replay ? null : weatherAPI.getRainfallField();
+    const maxLocalElement = document.getElementById('maxLocalRainfall');
+    if (maxLocalElement) {
+        maxLocalElement.textContent = field
+            ? `${field.max.rainfall} mm/h (${field.max.name}${field.source === 'radar' ? ', 레이더' : ''})`
+            : '-- mm/h';
+    }
     
     const updateTime = data.lastUpdate ? data.lastUpdate.toLocaleTimeString('ko-KR') : '--';
-    const source = weatherAPI.useRealAPI ? '기상청 API' : '시뮬레이션';
-    document.getElementById('dataSource').textContent = `${source} (${updateTime})`;
+    const status = weatherAPI.dataStatus;
+    let sourceText;
+    if (data.replay) {
+        const replayTime = data.lastUpdate.toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' });
+        sourceText = `사례 재현 - ${data.replay.name} (${replayTime})`;
+    } else if (status.source === 'api') {
+        // 표시 중인 관측 시각 (KST 발표 기준)
+        const month = status.baseDate.slice(4, 6);
+        const day = status.baseDate.slice(6, 8);
+        const hour = status.baseTime.slice(0, 2);
+        sourceText = `기상청 API - ${month}/${day} ${hour}:00 관측 (${updateTime} 수신)`;
+    } else if (weatherAPI.useRealAPI) {
+        sourceText = `시뮬레이션 - API 자료 없음 (${updateTime})`;
+    } else {
+        sourceText = `시뮬레이션 (${updateTime})`;
+    }
+    document.getElementById('dataSource').textContent = sourceText;
     
-    // 강수량 기반 자동 침수 레벨 업데이트 (자동 모드일 때만)
-    if (weatherAPI.autoUpdate) {
-        const floodLevel = weatherAPI.calculateFloodLevel(data.rainfall);
+    // 강수량 기반 자동 침수 레벨 업데이트 (자동 모드 또는 사례 재현 중)
+    if (weatherAPI.autoUpdate || data.replay) {
+        const floodLevel = Math.round(weatherAPI.calculateFloodLevel(data.accumulation));
         const floodSlider = document.getElementById('floodSlider');
         floodSlider.value = floodLevel;
         
         // 슬라이더 변경 이벤트 트리거
         floodSlider.dispatchEvent(new Event('input'));
         
-        console.log(`🌧️ 강수량 ${data.rainfall}mm/h → 침수 레벨 ${floodLevel}% 자동 설정`);
+        console.log(`🌧️ 누적 강수량 ${data.accumulation.event}mm (24h ${data.accumulation.h24}mm) → 침수 레벨 ${floodLevel}% 자동 설정`);
     }
     
+    // 예보 타임라인 갱신
+    forecastTimeline.update(weatherAPI.forecast);
+    
     // 2단계: 호우 구역 자동 감지
-    heavyRainDetector.detectHeavyRain(data.rainfall);
+    heavyRainDetector.detectHeavyRain(data.rainfall, field);
+    // 사례 재현 기록에 지점별 바람이 없으면 대표 바람만 표시
+    updateWeatherEffects(data.replay ? { ...data, windSamples: [] } : data);
+    
+    // 타임랩스용 장면 기록 (실시간 자료만)
+    if (!data.replay) {
+        satelliteTimelapse.record(captureSceneState());
+    }
     
     // 5단계: AI 강수 예측 데이터 추가 및 예측
-    rainfallPredictor.addHistoricalData(data);
-    rainfallPredictor.predict(data).then(prediction => {
+    // 기상청 실시간 자료만 검증 기록 (Mock·사례 재현 제외) - 이번 관측으로 지난 예측을 채점한 뒤 새 예측(LSTM + 선형 비교용)을 기록
+    const observedAt = data.replay ? data.lastUpdate : (weatherAPI.dataStatus.observedAt || data.lastUpdate);
+    const isVerifiable = !data.replay && weatherAPI.dataStatus.source === 'api';
+    if (isVerifiable) {
+        forecastVerifier.addObservation(observedAt, data.rainfall);
+    }
+    
+    // 예보 PCP·풍상측 강수량은 실시간 자료만 (재현 기록에는 당시 예보/강수장이 없음), 기압은 초단기실황에 없어 학습 평균으로 채워짐
+    // 기상청 실시간 자료가 아니면(Mock·사례 재현) 예측기 저장/재학습에서 제외
+    const observation = {
+        ...data,
+        simulated: !isVerifiable,
+        forecastRainfall: data.replay ? null : weatherAPI.getNextHourForecastRainfall(),
+        upstreamRainfall: data.replay ? null : weatherAPI.getUpstreamRainfall(UPSTREAM_DISTANCE_KM)
+    };
+    rainfallPredictor.addHistoricalData(observation, observedAt);
+    rainfallPredictor.predict(observation).then(prediction => {
         rainfallPredictor.updatePredictionUI(prediction);
+        
+        if (isVerifiable) {
+            forecastVerifier.logPrediction(prediction, observedAt);
+            if (prediction.model === 'lstm') {
+                forecastVerifier.logPrediction(rainfallPredictor.fallbackPredict(observation), observedAt);
+            }
+            forecastVerifier.updateUI();
+        }
+    });
+}
+
+// =====================================
+// 예보 타임라인 UI 연동
+// =====================================
+const forecastTimeline = new ForecastTimeline();
+
+// 예보 시각 선택 → 시간대 슬라이더/침수 수위를 해당 시각으로 이동
+forecastTimeline.onSelect = (entry, cumulativeRainfall) => {
+    sunDateInput.value = getKSTDateString(entry.time);
+    const timeSlider = document.getElementById('timeSlider');
+    timeSlider.value = entry.hour;
+    timeSlider.dispatchEvent(new Event('input'));
+    
+    // 현재 누적 강수량 + 선택 시각까지 예보 강수량
+    const totalRainfall = (weatherAPI.currentData.totalRainfall || 0) + cumulativeRainfall;
+    const floodSlider = document.getElementById('floodSlider');
+    floodSlider.value = Math.round(rainfallToFloodLevel(totalRainfall));
+    floodSlider.dispatchEvent(new Event('input'));
+    
+    console.log(`📅 예보 ${entry.time.toLocaleString('ko-KR')} → 누적 ${totalRainfall.toFixed(1)}mm, 침수 레벨 ${floodSlider.value}%`);
+};
+
+// =====================================
+// 호우 사례 재현 UI 연동
+// =====================================
+const stormEventReplay = new StormEventReplay();
+stormEventReplay.onFrame = updateWeatherUI;
+
+// 재현 중에는 실시간 자동 업데이트 중지, 종료 시 실시간 장면 복원 후 재개
+let resumeAutoUpdateAfterReplay = false;
+let wasReplayActive = false;
+stormEventReplay.onStateChange = (replay) => {
+    const status = document.getElementById('replayStatus');
+    if (status) {
+        status.textContent = replay.isActive
+            ? `${replay.name} - ${replay.isPlaying ? '재생 중' : '일시정지'}`
+            : '사례 파일을 선택하세요 (CSV/JSON)';
+    }
+    
+    // 재현 종료 - 자동 업데이트 여부와 관계없이 마지막 실시간 자료로 강수/경보/침수/예측 표시를 되돌림
+    const replayEnded = wasReplayActive && !replay.isActive;
+    wasReplayActive = replay.isActive;
+    if (!replayEnded) return;
+    
+    updateWeatherUI(weatherAPI.currentData);
+    
+    if (resumeAutoUpdateAfterReplay) {
+        resumeAutoUpdateAfterReplay = false;
+        weatherAPI.startAutoUpdate(updateWeatherUI);
+        toggleAutoBtn?.classList.add('active');
+        if (toggleAutoBtn) toggleAutoBtn.textContent = '자동 업데이트 ON';
+    }
+};
+
+const replayFileInput = document.getElementById('replayFile');
+if (replayFileInput) {
+    replayFileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        if (weatherAPI.autoUpdate) {
+            weatherAPI.stopAutoUpdate();
+            resumeAutoUpdateAfterReplay = true;
+            toggleAutoBtn?.classList.remove('active');
+            if (toggleAutoBtn) toggleAutoBtn.textContent = '자동 업데이트 OFF';
+        }
+        
+        try {
+            await stormEventReplay.loadFile(file);
+            stormEventReplay.notifyStateChange();
+        } catch (error) {
+            console.error('❌ 호우 사례 로드 실패:', error);
+            const status = document.getElementById('replayStatus');
+            if (status) status.textContent = `로드 실패: ${error.message}`;
+        }
+    });
+}
+
+document.getElementById('playReplay')?.addEventListener('click', () => stormEventReplay.play());
+document.getElementById('pauseReplay')?.addEventListener('click', () => stormEventReplay.pause());
+document.getElementById('stopReplay')?.addEventListener('click', () => stormEventReplay.stop());
+
+const replayProgress = document.getElementById('replayProgress');
+if (replayProgress) {
+    replayProgress.addEventListener('input', (e) => {
+        if (!stormEventReplay.isActive) return;
+        stormEventReplay.pause(); // 수동 조작 시 재생 멈춤
+        stormEventReplay.seek(parseInt(e.target.value, 10));
+    });
+}
+
+const replaySpeedSelect = document.getElementById('replaySpeed');
+if (replaySpeedSelect) {
+    replaySpeedSelect.addEventListener('change', (e) => {
+        stormEventReplay.setSpeed(parseFloat(e.target.value));
     });
 }
 
@@ -2126,6 +6797,30 @@ weatherAPI.startAutoUpdate(updateWeatherUI);
 // =====================================
 // 1단계: 위성 영상 오버레이 UI 연동
 // =====================================
+// 과거 24시간 적외 영상으로 폭풍 세포 추적 (영상은 매시 갱신)
+let lastStormTrackingHour = null;
+async function updateStormTracking(force = false) {
+    const hour = Math.floor(Date.now() / 3600000);
+    if (!force && hour === lastStormTrackingHour) return;
+    lastStormTrackingHour = hour;
+    
+    await satelliteTimelapse.loadInfraredFrames(heavyRainDetector);
+    stormCellTracker.update(satelliteTimelapse.frames, weatherAPI.samplingPoints);
+}
+
+// 위성 영상 갱신 시 적외 영상으로 대류운 분석 및 추적
+satelliteOverlay.onUpdate = async (overlay) => {
+    // 새 오버레이가 현재 영상이므로 과거 장면 보기 종료
+    if (satelliteTimelapse.isViewingPast) {
+        satelliteTimelapse.liveTexture = overlay.overlayPlane.material.map;
+        satelliteTimelapse.exitToLive();
+    }
+    
+    await heavyRainDetector.detectConvectiveCells(overlay);
+    satelliteTimelapse.record(captureSceneState());
+    updateStormTracking();
+};
+
 // 위성 영상 자동 업데이트 시작
 satelliteOverlay.startAutoUpdate();
 
@@ -2151,6 +6846,17 @@ if (opacitySlider && opacityValue) {
     });
 }
 
+// 대류운 운정온도 기준
+const cloudTopThresholdInput = document.getElementById('cloudTopThreshold');
+if (cloudTopThresholdInput) {
+    cloudTopThresholdInput.addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (Number.isNaN(value)) return;
+        heavyRainDetector.cloudTopThresholds.WATCH = value;
+        heavyRainDetector.detectConvectiveCells(satelliteOverlay);
+    });
+}
+
 // 영상 타입 선택
 const satelliteTypeSelect = document.getElementById('satelliteType');
 if (satelliteTypeSelect) {
@@ -2162,6 +6868,84 @@ if (satelliteTypeSelect) {
 // =====================================
 // 3단계: 타임랩스 UI 연동
 // =====================================
+// 현재 장면 상태 (타임랩스 기록용)
+function captureSceneState() {
+    const data = weatherAPI.currentData;
+    const field = weatherAPI.getRainfallField();
+    
+    return {
+        time: Date.now(),
+        rainfall: data.rainfall,
+        totalRainfall: data.totalRainfall,
+        temperature: data.temperature,
+        humidity: data.humidity,
+        windSpeed: data.windSpeed,
+        windDirection: data.windDirection,
+        windSamples: weatherAPI.getWindSamples(),
+        alertLevel: heavyRainDetector.alertLevel,
+        floodLevel: currentFloodLevel,
+        samples: field ? field.samples.map(({ name, lat, lon, rainfall }) => ({ name, lat, lon, rainfall })) : [],
+        cells: heavyRainDetector.convectiveCells,
+        clouds: cloud3DParticles.getCloudState()
+    };
+}
+
+// 과거 장면 진입 전 상태 (복귀용)
+let liveSceneState = null;
+
+function setSlider(id, value) {
+    const slider = document.getElementById(id);
+    slider.value = value;
+    slider.dispatchEvent(new Event('input'));
+}
+
+// 프레임 시각의 장면 복원: 태양 위치, 침수 수위, 경보 마커, 구름 배치·색상(그림자 포함), 대류운
+satelliteTimelapse.onRestore = (snapshot, frame) => {
+    if (!liveSceneState) {
+        liveSceneState = {
+            timeOfDay: document.getElementById('timeSlider').value,
+            sunDate: sunDateInput.value,
+            floodLevel: currentFloodLevel,
+            cells: heavyRainDetector.convectiveCells,
+            clouds: cloud3DParticles.getCloudState()
+        };
+    }
+    
+    const kstHour = (frame.imageTime.getUTCHours() + 9) % 24;
+    sunDateInput.value = getKSTDateString(frame.imageTime);
+    setSlider('timeSlider', kstHour);
+    
+    if (snapshot) {
+        setSlider('floodSlider', snapshot.floodLevel);
+        const field = snapshot.samples.length > 0 ? new RainfallField(snapshot.samples, geoService) : null;
+        heavyRainDetector.detectHeavyRain(snapshot.rainfall, field);
+        updateWeatherEffects({ windSamples: [], ...snapshot }); // 바람 기록 이전 장면은 고요
+        cloud3DParticles.setCloudState(snapshot.clouds); // 구름 기록 이전 장면은 현재 배치 유지
+    } else {
+        heavyRainDetector.clearMarkers(marker => !marker.userData.cell);
+    }
+    
+    // 해당 시각 영상 분석 결과가 있으면 우선, 없으면 기록된 대류운
+    heavyRainDetector.convectiveCells = frame.cells ?? snapshot?.cells ?? [];
+    heavyRainDetector.renderConvectiveCells();
+    heavyRainDetector.updateConvectiveUI(heavyRainDetector.convectiveCells);
+};
+
+satelliteTimelapse.onExit = () => {
+    if (!liveSceneState) return;
+    
+    sunDateInput.value = liveSceneState.sunDate;
+    setSlider('timeSlider', liveSceneState.timeOfDay);
+    setSlider('floodSlider', liveSceneState.floodLevel);
+    heavyRainDetector.detectHeavyRain(weatherAPI.currentData.rainfall, weatherAPI.getRainfallField());
+    updateWeatherEffects(weatherAPI.currentData);
+    cloud3DParticles.setCloudState(liveSceneState.clouds);
+    heavyRainDetector.convectiveCells = liveSceneState.cells;
+    heavyRainDetector.renderConvectiveCells();
+    heavyRainDetector.updateConvectiveUI(liveSceneState.cells);
+    liveSceneState = null;
+};
+
 // 재생 버튼
 const playTimelapseBtn = document.getElementById('playTimelapse');
 if (playTimelapseBtn) {
@@ -2178,11 +6962,22 @@ if (pauseTimelapseBtn) {
     });
 }
 
+// 현재로 버튼
+document.getElementById('liveTimelapse')?.addEventListener('click', () => satelliteTimelapse.exitToLive());
+
+// 폭풍 추적 다시 분석 / 표시 토글
+document.getElementById('trackStorms')?.addEventListener('click', () => updateStormTracking(true));
+document.getElementById('toggleStormTracks')?.addEventListener('click', (e) => {
+    stormCellTracker.toggle();
+    e.target.classList.toggle('active', stormCellTracker.group.visible);
+});
+
 // 타임라인 슬라이더
 const timelapseProgress = document.getElementById('timelapseProgress');
 if (timelapseProgress) {
     timelapseProgress.addEventListener('input', (e) => {
         satelliteTimelapse.pause(); // 수동 조작 시 재생 멈춤
+        satelliteTimelapse.buildFrames();
         satelliteTimelapse.seekToHour(parseInt(e.target.value));
     });
 }
@@ -2197,13 +6992,106 @@ if (toggleCloud3DBtn) {
     });
 }
 
+// =====================================
+// 레이더 합성 강수 레이어 UI 연동
+// =====================================
+radarLayer.onUpdate = (field) => {
+    weatherAPI.radarField = field;
+    
+    // 새 레이더 분포로 경보 다시 판정 (사례 재현 중에는 기록 자료 유지)
+    if (!stormEventReplay.isActive && weatherAPI.getRainfallField()) {
+        heavyRainDetector.detectHeavyRain(weatherAPI.currentData.rainfall, weatherAPI.getRainfallField());
+        updateWeatherEffects(weatherAPI.currentData);
+    }
+};
+radarLayer.startAutoUpdate(weatherAPI.samplingPoints);
+
+const toggleRadarBtn = document.getElementById('toggleRadar');
+if (toggleRadarBtn) {
+    toggleRadarBtn.addEventListener('click', () => {
+        const enabled = radarLayer.toggle();
+        toggleRadarBtn.textContent = enabled ? '표시 ON' : '표시 OFF';
+        toggleRadarBtn.classList.toggle('active', enabled);
+    });
+}
+
+const useRadarFieldCheckbox = document.getElementById('useRadarField');
+if (useRadarFieldCheckbox) {
+    useRadarFieldCheckbox.addEventListener('change', (e) => {
+        weatherAPI.useRadarField = e.target.checked;
+        if (!stormEventReplay.isActive) {
+            heavyRainDetector.detectHeavyRain(weatherAPI.currentData.rainfall, weatherAPI.getRainfallField());
+            updateWeatherEffects(weatherAPI.currentData);
+        }
+    });
+}
+
+// =====================================
+// AI 예측 모델 저장 UI 연동
+// =====================================
+const exportModelBtn = document.getElementById('exportModel');
+if (exportModelBtn) {
+    exportModelBtn.addEventListener('click', () => rainfallPredictor.exportModel());
+}
+
+const resetModelBtn = document.getElementById('resetModel');
+if (resetModelBtn) {
+    resetModelBtn.addEventListener('click', () => {
+        if (confirm('저장된 AI 예측 모델과 학습 데이터를 삭제하고 다시 학습할까요?')) {
+            rainfallPredictor.resetModel();
+        }
+    });
+}
+
+// =====================================
+// AI 예측 검증 UI 연동
+// =====================================
+const verificationHorizonSelect = document.getElementById('verificationHorizon');
+if (verificationHorizonSelect) {
+    verificationHorizonSelect.addEventListener('change', (e) => forecastVerifier.setHorizon(e.target.value));
+}
+forecastVerifier.updateUI();
+
+// =====================================
+// 하늘·대기 UI 연동
+// =====================================
+const toggleSkyBtn = document.getElementById('toggleSky');
+if (toggleSkyBtn) {
+    toggleSkyBtn.addEventListener('click', () => {
+        const enabled = atmosphere.toggle();
+        updateSunPosition(currentTime);
+        toggleSkyBtn.textContent = enabled ? '표시 ON' : '표시 OFF';
+        toggleSkyBtn.classList.toggle('active', enabled);
+    });
+}
+
+const toggleWindBtn = document.getElementById('toggleWind');
+if (toggleWindBtn) {
+    toggleWindBtn.addEventListener('click', () => {
+        const enabled = windOverlay.toggle();
+        toggleWindBtn.textContent = enabled ? '바람 ON' : '바람 OFF';
+        toggleWindBtn.classList.toggle('active', enabled);
+    });
+}
+
+const toggleRainBtn = document.getElementById('toggleRain');
+if (toggleRainBtn) {
+    toggleRainBtn.addEventListener('click', () => {
+        const enabled = rainSystem.toggle();
+        toggleRainBtn.textContent = enabled ? '빗줄기 ON' : '빗줄기 OFF';
+        toggleRainBtn.classList.toggle('active', enabled);
+    });
+}
+
 console.log('🛰️ 실시간 기상 데이터 연동 시작');
 console.log('🛰️ 천리안 위성 영상 오버레이 활성화');
 console.log('⏱️ 24시간 타임랩스 준비 완료');
 console.log('☁️ 3D 구름 파티클 시스템 준비 완료');
+console.log('🌫️ 기상 연동 하늘·안개 렌더링 준비 완료');
+console.log('🌧️ 강우강도 연동 빗줄기 파티클 준비 완료');
 console.log('🔮 AI 강수 예측 시스템 활성화');
 console.log('💡 Mock 데이터 사용 중 (실제 API 사용: weatherAPI.useRealAPI = true)');
-console.log('💡 기상청 API 키 설정: weatherAPI.apiKey = "YOUR_KEY"');
+console.log('💡 기상청 API 프록시 실행: KMA_API_KEY=YOUR_KEY npm run proxy');
 
 // 애니메이션 루프
 function animate() {
@@ -2215,6 +7103,9 @@ function animate() {
         cloud3DParticles.updateCloudShadows(directionalLight.position);
     }
     
+    // 빗줄기 낙하 (구름 클러스터 아래)
+    rainSystem.update(performance.now() / 1000, cloud3DParticles.getClusterPositions());
+    
     renderer.render(scene, camera);
 }
 animate();
@@ -2237,10 +7128,16 @@ class DraggableUI {
             '#flood-control',
             '#weather-control',
             '#satellite-control',
+            '#radar-control',
             '#heavy-rain-alert',
             '#timelapse-control',
             '#cloud3d-control',
+            '#atmosphere-control',
             '#prediction-panel',
+            '#verification-panel',
+            '#hydrology-control',
+            '#forecast-panel',
+            '#replay-control',
             '#time-control'
         ];
         
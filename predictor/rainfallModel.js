@@ -0,0 +1,280 @@
+// =====================================
+// LSTM 강수 예측 모델 정의
+// =====================================
+// 브라우저(RainfallPredictor)와 Node 학습 명령(predictor/train.js)이 같은 구조를 쓰도록 공유한다.
+// tf 는 호출하는 쪽에서 넘긴다 (브라우저 @tensorflow/tfjs, Node 는 tfjs-node 가 있으면 그것).
+
+// 모델 구조/입력 특성이 바뀌면 올려서 이전 저장본·배포 모델을 무시
+export const MODEL_SCHEMA_VERSION = 3;
+
+export const SEQUENCE_LENGTH = 10;                // 입력: 과거 10시간 관측 (1시간 간격)
+export const FORECAST_HORIZONS = [1, 3, 6, 12, 24]; // 출력: 각 선행시간(시간) 후 강수량
+
+// 선행시간마다 예측하는 분위수 (분위수 손실로 학습, 예측구간·초과확률 계산에 사용)
+export const FORECAST_QUANTILES = [0.05, 0.1, 0.25, 0.5, 0.75, 0.9, 0.95];
+
+// 해당 선행시간의 관측이 없는 학습 레이블 (손실 계산에서 제외)
+export const MISSING_LABEL = -1;
+
+// 풍상측 강수량을 보는 거리 (예측 지점에서 바람이 불어오는 쪽으로)
+export const UPSTREAM_DISTANCE_KM = 15;
+const CALM_WIND_SPEED = 0.5; // 이보다 약하면 무풍 (풍상측 없음)
+
+const HOUR = 3600000;
+const KST_OFFSET = 9 * HOUR;
+
+// KST 시각 (0~24, 분 포함) / 연중 일수 (0~365)
+function kstHourOfDay(time) {
+    const kst = new Date(time + KST_OFFSET);
+    return kst.getUTCHours() + kst.getUTCMinutes() / 60;
+}
+
+function kstDayOfYear(time) {
+    const kst = new Date(time + KST_OFFSET);
+    return (kst.getTime() - Date.UTC(kst.getUTCFullYear(), 0, 1)) / (24 * HOUR);
+}
+
+// 바람 성분 (풍향은 불어오는 방향): u = 동쪽 성분, v = 북쪽 성분
+function windComponent(record, axis) {
+    if (record.windSpeed === null || record.windSpeed === undefined ||
+        record.windDirection === null || record.windDirection === undefined) return null;
+    const radians = record.windDirection * Math.PI / 180;
+    return axis === 'u' ? -record.windSpeed * Math.sin(radians) : -record.windSpeed * Math.cos(radians);
+}
+
+// 풍상측 강수량 지점: 예측 지점에서 바람이 불어오는 쪽으로 distanceKm 떨어진 곳의 오프셋 (km, 동/북) - 무풍이면 null
+// 학습(predictor/train.js)과 브라우저(WeatherAPI.getUpstreamRainfall)가 같은 정의를 씀
+export function upstreamOffset(windSpeed, windDirection, distanceKm = UPSTREAM_DISTANCE_KM) {
+    if (windDirection === null || windDirection === undefined || !(windSpeed >= CALM_WIND_SPEED)) return null;
+    const radians = windDirection * Math.PI / 180;
+    return { east: Math.sin(radians) * distanceKm, north: Math.cos(radians) * distanceKm };
+}
+
+// 지점 강수량의 역거리 가중(IDW) 보간 - points: [{ easting, northing, rainfall }] (평면 좌표, 단위는 호출하는 쪽과 같게)
+// 브라우저 강수 공간 분포(RainfallField)와 학습의 풍상측 강수량이 같이 씀 (matchDistance 이내면 그 지점 값)
+export function interpolateRainfall(points, easting, northing, { power = 2, matchDistance = 0 } = {}) {
+    let weightSum = 0;
+    let valueSum = 0;
+
+    for (const p of points) {
+        const distance = Math.hypot(p.easting - easting, p.northing - northing);
+        if (distance <= matchDistance) return p.rainfall;
+
+        const weight = 1 / Math.pow(distance, power);
+        weightSum += weight;
+        valueSum += weight * p.rainfall;
+    }
+
+    return weightSum > 0 ? valueSum / weightSum : 0;
+}
+
+// 입력 특성 정의
+// value(record): 원시값 (없으면 null), scaled: 학습 자료 평균/표준편차로 표준화 (주기 특성은 이미 -1~1)
+// record: { time (ms), rainfall, humidity, temperature, windSpeed, windDirection, pressure, forecastRainfall, upstreamRainfall }
+export const FEATURES = {
+    rainfall: { label: '강수량 (mm/h)', scaled: true, value: r => r.rainfall },
+    humidity: { label: '습도 (%)', scaled: true, value: r => r.humidity },
+    temperature: { label: '기온 (°C)', scaled: true, value: r => r.temperature },
+    windU: { label: '바람 동서 성분 u (m/s)', scaled: true, value: r => windComponent(r, 'u') },
+    windV: { label: '바람 남북 성분 v (m/s)', scaled: true, value: r => windComponent(r, 'v') },
+    pressure: { label: '해면기압 (hPa)', scaled: true, value: r => r.pressure },
+    forecastRainfall: { label: '예보 강수량 PCP (mm)', scaled: true, value: r => r.forecastRainfall },
+    upstreamRainfall: { label: `풍상측 ${UPSTREAM_DISTANCE_KM}km 보간 강수량 (mm/h)`, scaled: true, value: r => r.upstreamRainfall },
+    hourSin: { label: '시각 sin', scaled: false, value: r => Math.sin(2 * Math.PI * kstHourOfDay(r.time) / 24) },
+    hourCos: { label: '시각 cos', scaled: false, value: r => Math.cos(2 * Math.PI * kstHourOfDay(r.time) / 24) },
+    daySin: { label: '연중 일수 sin', scaled: false, value: r => Math.sin(2 * Math.PI * kstDayOfYear(r.time) / 365.25) },
+    dayCos: { label: '연중 일수 cos', scaled: false, value: r => Math.cos(2 * Math.PI * kstDayOfYear(r.time) / 365.25) }
+};
+
+export const DEFAULT_FEATURES = Object.keys(FEATURES);
+
+function featureValue(name, record) {
+    const value = FEATURES[name].value(record);
+    return value === undefined || value === null || Number.isNaN(value) ? null : value;
+}
+
+// 학습 자료로 정규화 통계 계산
+// → { features: 자료가 있는 특성, stats: { 특성: { mean, std } }, labelScale: 레이블(강수량) 척도, missing: 자료가 없어 뺀 특성 }
+export function computeNormalization(records, features = DEFAULT_FEATURES) {
+    const stats = {};
+    const available = [];
+    const missing = [];
+
+    features.forEach(name => {
+        if (!FEATURES[name]) throw new Error(`알 수 없는 입력 특성: ${name}`);
+
+        const values = records.map(r => featureValue(name, r)).filter(v => v !== null);
+        if (values.length === 0) {
+            missing.push(name);
+            return;
+        }
+        available.push(name);
+        if (!FEATURES[name].scaled) return;
+
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+        stats[name] = { mean, std: Math.sqrt(variance) || 1 };
+    });
+
+    // 레이블은 0 이상 유지 (MISSING_LABEL 과 구분) - 평균 빼지 않고 표준편차로만 나눔
+    const labelScale = stats.rainfall?.std
+        ?? (Math.sqrt(records.reduce((sum, r) => sum + r.rainfall ** 2, 0) / Math.max(records.length, 1)) || 1);
+
+    return { features: available, stats, labelScale, missing };
+}
+
+// 관측값 → 정규화된 입력 특성 (결측은 학습 평균 = 0)
+export function normalizeRecord(record, normalization) {
+    return normalization.features.map(name => {
+        const value = featureValue(name, record);
+        const stats = normalization.stats[name];
+        if (value === null) return 0;
+        return stats ? (value - stats.mean) / stats.std : value;
+    });
+}
+
+// 1시간 간격 관측 → 학습 창 { time: 입력 마지막 정시, sequence: 입력 관측, labels: 선행시간별 강수량 (없으면 null) }
+// observations: time(정시 ms) 오름차순, 입력 구간은 빈 시각 없이 이어져야 하고 isUsable 을 만족해야 함
+export function buildTrainingWindows(observations, {
+    sequenceLength = SEQUENCE_LENGTH,
+    horizons = FORECAST_HORIZONS,
+    isUsable = () => true
+} = {}) {
+    const byTime = new Map(observations.map(o => [o.time, o]));
+    const windows = [];
+
+    for (let i = 0; i + sequenceLength <= observations.length; i++) {
+        const first = observations[i];
+        const last = observations[i + sequenceLength - 1];
+        if (last.time - first.time !== (sequenceLength - 1) * HOUR) continue;
+
+        const sequence = observations.slice(i, i + sequenceLength);
+        if (!sequence.every(isUsable)) continue;
+
+        const labels = horizons.map(h => byTime.get(last.time + h * HOUR)?.rainfall ?? null);
+        if (labels.every(label => label === null)) continue;
+
+        windows.push({ time: last.time, sequence, labels });
+    }
+
+    return windows;
+}
+
+// 레이블 (mm/h, null 허용) → 모델 출력 모양의 정규화 레이블
+export function scaleLabels(labels, normalization) {
+    return expandLabels(labels.map(label => (label === null ? null : label / normalization.labelScale)));
+}
+
+// Sequential 모델 구성 + 컴파일
+export function buildRainfallModel(tf, { sequenceLength = SEQUENCE_LENGTH, featureCount = DEFAULT_FEATURES.length } = {}) {
+    const model = tf.sequential({
+        layers: [
+            // LSTM 레이어 1 (입력: [시퀀스 길이, 특성 수])
+            tf.layers.lstm({
+                units: 32,
+                returnSequences: true,
+                inputShape: [sequenceLength, featureCount] // 특성: normalization.features 순서
+            }),
+            tf.layers.dropout({ rate: 0.2 }),
+
+            // LSTM 레이어 2
+            tf.layers.lstm({
+                units: 16,
+                returnSequences: false
+            }),
+            tf.layers.dropout({ rate: 0.2 }),
+
+            // Dense 레이어
+            tf.layers.dense({ units: 16, activation: 'relu' }),
+            // 출력: 선행시간 × 분위수 강수량 예측 (선형 - 음수는 outputToQuantiles 에서 0)
+            tf.layers.dense({ units: FORECAST_HORIZONS.length * FORECAST_QUANTILES.length })
+        ]
+    });
+
+    compileRainfallModel(tf, model);
+    return model;
+}
+
+// 모델 컴파일 (불러온 모델도 재학습하려면 다시 컴파일 필요)
+export function compileRainfallModel(tf, model) {
+    model.compile({
+        optimizer: tf.train.adam(0.001),
+        loss: createQuantileLoss(tf)
+    });
+}
+
+// 출력 순서: [선행시간 0 의 분위수들, 선행시간 1 의 분위수들, ...]
+export function outputIndex(horizonIndex, quantileIndex) {
+    return horizonIndex * FORECAST_QUANTILES.length + quantileIndex;
+}
+
+// 선행시간별 레이블 → 출력 모양에 맞춰 분위수 수만큼 반복 (null 은 MISSING_LABEL)
+export function expandLabels(labels) {
+    return labels.flatMap(label => FORECAST_QUANTILES.map(() => (label === null ? MISSING_LABEL : label)));
+}
+
+// 분위수(pinball) 손실 - MISSING_LABEL 인 선행시간은 제외 (관측 기록 끝부분은 긴 선행시간 레이블이 없음)
+export function createQuantileLoss(tf) {
+    return function maskedQuantileLoss(yTrue, yPred) {
+        return tf.tidy(() => {
+            const quantiles = tf.tensor1d(FORECAST_QUANTILES).tile([yTrue.shape[1] / FORECAST_QUANTILES.length]);
+            const mask = tf.cast(tf.greater(yTrue, MISSING_LABEL), 'float32');
+            const error = tf.sub(yTrue, yPred);
+            const pinball = tf.maximum(tf.mul(quantiles, error), tf.mul(tf.sub(quantiles, 1), error));
+            return tf.div(tf.sum(tf.mul(pinball, mask), -1), tf.maximum(tf.sum(mask, -1), 1));
+        });
+    };
+}
+
+// 모델 출력 한 행 (정규화) → 선행시간별 분위수 (mm/h, 교차 방지를 위해 정렬)
+export function outputToQuantiles(row, normalization) {
+    return FORECAST_HORIZONS.map((hours, k) => {
+        const values = FORECAST_QUANTILES
+            .map((q, j) => Math.max(0, row[outputIndex(k, j)] * normalization.labelScale))
+            .sort((a, b) => a - b);
+        return { hours, values };
+    });
+}
+
+// 분위수로 근사한 누적분포에서 threshold 이상일 확률
+// 분위수 사이는 선형, 최상위 분위수 위는 지수 꼬리 (척도 = 상위 두 분위수 간격 / ln 비율)
+export function exceedanceProbability(values, threshold) {
+    const levels = FORECAST_QUANTILES;
+    const last = values.length - 1;
+
+    if (threshold <= 0) return 1;
+    if (threshold <= values[0]) {
+        return 1 - levels[0] * (threshold / values[0]);
+    }
+    for (let j = 1; j <= last; j++) {
+        if (threshold <= values[j]) {
+            const span = values[j] - values[j - 1];
+            const t = span > 0 ? (threshold - values[j - 1]) / span : 1;
+            return 1 - (levels[j - 1] + (levels[j] - levels[j - 1]) * t);
+        }
+    }
+
+    const tail = 1 - levels[last];
+    const gap = values[last] - values[last - 1];
+    if (gap <= 0) return 0;
+    const scale = gap / Math.log((1 - levels[last - 1]) / tail);
+    return tail * Math.exp(-(threshold - values[last]) / scale);
+}
+
+// 분위수 → 중앙값, 50%/80% 예측구간, 임계값 초과확률
+export function summarizeQuantiles(values, thresholds = []) {
+    const at = (q) => values[FORECAST_QUANTILES.indexOf(q)];
+    const exceedance = {};
+    thresholds.forEach(threshold => {
+        exceedance[threshold] = exceedanceProbability(values, threshold);
+    });
+
+    return {
+        median: at(0.5),
+        lower50: at(0.25),
+        upper50: at(0.75),
+        lower80: at(0.1),
+        upper80: at(0.9),
+        exceedance
+    };
+}
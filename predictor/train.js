@@ -0,0 +1,575 @@
+import { readFile, readdir, stat, mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import {
+    MODEL_SCHEMA_VERSION,
+    SEQUENCE_LENGTH,
+    FORECAST_HORIZONS,
+    FORECAST_QUANTILES,
+    FEATURES,
+    DEFAULT_FEATURES,
+    UPSTREAM_DISTANCE_KM,
+    upstreamOffset,
+    interpolateRainfall,
+    computeNormalization,
+    normalizeRecord,
+    buildTrainingWindows,
+    scaleLabels,
+    buildRainfallModel,
+    outputToQuantiles,
+    summarizeQuantiles
+} from './rainfallModel.js';
+import { ALERT_THRESHOLDS, verifyForecasts } from './verification.js';
+
+// =====================================
+// 강수 예측 모델 오프라인 학습 (기상청 ASOS 시간자료)
+// =====================================
+// 산청 및 인근 종관기상관측(ASOS) 지점의 시간자료 CSV로 RainfallPredictor 와 같은 LSTM 을 학습하고
+// 브라우저가 불러오는 모델 파일(model.json + weights.bin)로 내보낸다.
+//
+// 실행: npm run train:predictor -- data/asos [--stations 289,192] [--epochs 30] [--features rainfall,humidity,...]
+//        [--out public/models/rainfall-lstm]
+//
+// 입력 CSV: 기상자료개방포털 "종관기상관측(ASOS) 시간자료" 형식
+//   지점,지점명,일시,기온(°C),...,강수량(mm),풍속(m/s),풍향(16방위),습도(%),...,해면기압(hPa),...   (UTF-8 또는 EUC-KR)
+// 강수량 빈 칸은 무강수(0), 기온/습도/기압 결측은 3시간 이내면 선형 보간, 기온/습도가 비면 해당 구간 제외
+// 선택 열: forecastRainfall(예보 PCP 보관 자료), upstreamRainfall(없으면 인근 지점 관측을 풍상측 15km 지점으로 보간)
+// 정규화 통계(평균/표준편차)는 학습 구간 자료로 계산해 모델 메타데이터에 저장
+
+const HOUR = 3600000;
+
+const DEFAULT_OPTIONS = {
+    out: 'public/models/rainfall-lstm',
+    epochs: 30,
+    batchSize: 64,
+    stations: null,      // 지점 번호 목록 (없으면 전체)
+    dryRatio: 0.1,       // 학습 구간에서 무강수 창을 남기는 비율 (대부분이 무강수라 편향 방지)
+    trainFraction: 0.7,  // 시간순 분할: 학습 70% / 검증 15% / 시험 15%
+    validationFraction: 0.15,
+    maxGapHours: 3,      // 기온/습도 결측 보간 최대 길이
+    patience: 5,         // 검증 손실이 개선되지 않으면 조기 종료
+    seed: 42,
+    features: DEFAULT_FEATURES // 입력 특성 (자료가 없는 특성은 제외)
+};
+
+// 열 이름 별칭 (포털 CSV / 기상청 ASOS API 필드)
+const COLUMN_ALIASES = {
+    station: ['지점', 'stnid', 'stn'],
+    stationName: ['지점명', 'stnnm'],
+    time: ['일시', 'tm', 'time'],
+    rainfall: ['강수량(mm)', '강수량', 'rn', 'rainfall'],
+    temperature: ['기온(°c)', '기온', 'ta', 'temperature'],
+    humidity: ['습도(%)', '습도', 'hm', 'humidity'],
+    windSpeed: ['풍속(m/s)', '풍속', 'ws', 'windspeed'],
+    windDirection: ['풍향(16방위)', '풍향(deg)', '풍향', 'wd', 'winddirection'],
+    pressure: ['해면기압(hpa)', 'ps', 'pressure', '현지기압(hpa)', 'pa'],
+    forecastRainfall: ['forecastrainfall', 'pcp'],
+    upstreamRainfall: ['upstreamrainfall']
+};
+
+// 관측 레코드의 선택 수치 열 (없으면 null)
+const OPTIONAL_FIELDS = ['temperature', 'humidity', 'windSpeed', 'windDirection', 'pressure', 'forecastRainfall', 'upstreamRainfall'];
+
+// 산청 인근 ASOS 지점 위치 (풍상측 강수량 보간용, 기상청 지점정보 기준 근사값)
+const STATION_COORDINATES = {
+    '192': { name: '진주', lat: 35.1638, lon: 128.0400 },
+    '264': { name: '함양군', lat: 35.5112, lon: 127.7453 },
+    '284': { name: '거창', lat: 35.6674, lon: 127.9099 },
+    '285': { name: '합천', lat: 35.5651, lon: 128.1699 },
+    '289': { name: '산청', lat: 35.4130, lon: 127.8791 }
+};
+
+// =====================================
+// CSV 읽기
+// =====================================
+
+// UTF-8 로 읽고 깨지면 EUC-KR (포털 기본 인코딩)
+export function decodeCSV(buffer) {
+    const utf8 = new TextDecoder('utf-8').decode(buffer);
+    const text = utf8.includes('\uFFFD') ? new TextDecoder('euc-kr').decode(buffer) : utf8;
+    return text.replace(/^\uFEFF/, '');
+}
+
+// 별칭 순서가 우선순위 (예: 해면기압이 있으면 현지기압보다 먼저)
+function findColumn(headers, field) {
+    const normalized = headers.map(header => header.trim().toLowerCase());
+    for (const alias of COLUMN_ALIASES[field]) {
+        const index = normalized.indexOf(alias);
+        if (index >= 0) return index;
+    }
+    return -1;
+}
+
+// ASOS 시간자료 CSV → 관측 레코드 (일시는 KST)
+export function parseAsosCSV(text) {
+    const lines = text.trim().split(/\r?\n/);
+    const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
+
+    const columns = {};
+    Object.keys(COLUMN_ALIASES).forEach(field => {
+        columns[field] = findColumn(headers, field);
+    });
+    if (columns.time < 0 || columns.rainfall < 0) {
+        throw new Error(`일시/강수량 열을 찾을 수 없습니다 (열: ${headers.join(', ')})`);
+    }
+
+    const number = (value) => {
+        if (value === undefined || value === '') return null;
+        const parsed = parseFloat(value);
+        return Number.isNaN(parsed) ? null : parsed;
+    };
+
+    const records = [];
+    for (const line of lines.slice(1)) {
+        const values = line.split(',').map(v => v.trim().replace(/^"|"$/g, ''));
+        const timeText = values[columns.time];
+        if (!timeText) continue;
+
+        // "2025-07-16 14:00" (KST)
+        const time = new Date(`${timeText.replace(' ', 'T')}${timeText.length <= 13 ? ':00' : ''}+09:00`);
+        if (Number.isNaN(time.getTime())) continue;
+
+        const record = {
+            station: columns.station >= 0 ? values[columns.station] : 'unknown',
+            stationName: columns.stationName >= 0 ? values[columns.stationName] : '',
+            time: time.getTime(),
+            rainfall: number(values[columns.rainfall]) ?? 0 // 빈 칸 = 무강수
+        };
+        OPTIONAL_FIELDS.forEach(field => {
+            record[field] = columns[field] >= 0 ? number(values[columns[field]]) : null;
+        });
+        records.push(record);
+    }
+
+    return records;
+}
+
+// 파일/디렉터리 인자 → CSV 파일 목록 (디렉터리는 하위까지)
+export async function collectCSVFiles(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        const info = await stat(input);
+        if (info.isDirectory()) {
+            const entries = await readdir(input);
+            files.push(...await collectCSVFiles(entries.map(entry => path.join(input, entry))
+                .filter(entry => !path.basename(entry).startsWith('.'))));
+        } else if (input.toLowerCase().endsWith('.csv')) {
+            files.push(input);
+        }
+    }
+    return files.sort();
+}
+
+// =====================================
+// 지점별 시계열 정리
+// =====================================
+
+// 지점별로 묶고 시간순 정렬, 중복 시각 제거, 짧은 기온/습도 결측 보간
+export function buildStationSeries(records, { stations = null, maxGapHours = DEFAULT_OPTIONS.maxGapHours } = {}) {
+    const byStation = new Map();
+    records.forEach(record => {
+        if (stations && !stations.includes(record.station)) return;
+        if (!byStation.has(record.station)) byStation.set(record.station, new Map());
+        byStation.get(record.station).set(record.time, record);
+    });
+
+    const series = [];
+    byStation.forEach((byTime, station) => {
+        const observations = [...byTime.values()].sort((a, b) => a.time - b.time);
+        ['temperature', 'humidity', 'pressure'].forEach(field => interpolateGaps(observations, field, maxGapHours));
+        series.push({
+            station,
+            stationName: observations.find(o => o.stationName)?.stationName || '',
+            observations
+        });
+    });
+
+    return series;
+}
+
+// 연속 시각 사이의 결측(null)을 maxGapHours 이내면 선형 보간
+function interpolateGaps(observations, field, maxGapHours) {
+    let lastIndex = -1;
+    observations.forEach((observation, index) => {
+        if (observation[field] === null) return;
+
+        if (lastIndex >= 0 && index - lastIndex > 1) {
+            const start = observations[lastIndex];
+            const hours = (observation.time - start.time) / HOUR;
+            const contiguous = hours === index - lastIndex;
+            if (contiguous && hours - 1 <= maxGapHours) {
+                for (let k = lastIndex + 1; k < index; k++) {
+                    const t = (observations[k].time - start.time) / (observation.time - start.time);
+                    observations[k][field] = start[field] + (observation[field] - start[field]) * t;
+                }
+            }
+        }
+        lastIndex = index;
+    });
+}
+
+// 지점 위치 → 기준 위치에서의 평면 좌표 (km, 동/북) - 수십 km 범위라 평면 근사
+function stationPosition(coordinates, origin) {
+    return {
+        easting: (coordinates.lon - origin.lon) * 111.32 * Math.cos(origin.lat * Math.PI / 180),
+        northing: (coordinates.lat - origin.lat) * 110.57
+    };
+}
+
+// 풍상측 강수량: 지점에서 바람이 불어오는 쪽으로 distanceKm 떨어진 곳의 같은 시각 강수량을 위치를 아는 지점 관측으로 IDW 보간
+// 브라우저(WeatherAPI.getUpstreamRainfall)와 같은 정의 (upstreamOffset + interpolateRainfall)
+// CSV 에 upstreamRainfall 열이 있으면 그 값 유지, 무풍·위치 모르는 지점·같은 시각 다른 지점 관측 없음은 null
+export function assignUpstreamRainfall(series, { distanceKm = UPSTREAM_DISTANCE_KM } = {}) {
+    const located = series.filter(s => STATION_COORDINATES[s.station]);
+    if (located.length < 2) return 0;
+
+    const origin = STATION_COORDINATES[located[0].station];
+    const stations = located.map(s => ({
+        ...stationPosition(STATION_COORDINATES[s.station], origin),
+        observations: s.observations,
+        byTime: new Map(s.observations.map(o => [o.time, o]))
+    }));
+
+    let assigned = 0;
+    stations.forEach(target => {
+        target.observations.forEach(o => {
+            if (o.upstreamRainfall !== null) return;
+            const offset = upstreamOffset(o.windSpeed, o.windDirection, distanceKm);
+            if (!offset) return;
+
+            const points = [];
+            stations.forEach(station => {
+                const observed = station.byTime.get(o.time);
+                if (observed) points.push({ easting: station.easting, northing: station.northing, rainfall: observed.rainfall });
+            });
+            if (points.length < 2) return;
+
+            const rainfall = interpolateRainfall(points, target.easting + offset.east, target.northing + offset.north);
+            o.upstreamRainfall = Math.round(rainfall * 10) / 10;
+            assigned++;
+        });
+    });
+
+    return assigned;
+}
+
+// =====================================
+// 학습 창 (과거 10시간 → 1/3/6/12/24시간 후 강수량)
+// =====================================
+export function buildWindows(series, {
+    sequenceLength = SEQUENCE_LENGTH,
+    horizons = FORECAST_HORIZONS
+} = {}) {
+    const windows = [];
+    const isUsable = (o) => o.temperature !== null && o.humidity !== null;
+
+    series.forEach(({ station, observations }) => {
+        buildTrainingWindows(observations, { sequenceLength, horizons, isUsable }).forEach(window => {
+            const last = window.sequence[window.sequence.length - 1];
+            windows.push({
+                ...window,
+                station,
+                lastRainfall: last.rainfall,
+                dry: window.labels.every(label => !label) && window.sequence.every(o => o.rainfall === 0)
+            });
+        });
+    });
+
+    return windows.sort((a, b) => a.time - b.time);
+}
+
+// 시간순 학습/검증/시험 분할 - 경계를 넘는 창(입력 또는 목표가 다른 구간)은 버림
+export function splitWindows(windows, {
+    trainFraction = DEFAULT_OPTIONS.trainFraction,
+    validationFraction = DEFAULT_OPTIONS.validationFraction,
+    sequenceLength = SEQUENCE_LENGTH,
+    horizons = FORECAST_HORIZONS
+} = {}) {
+    if (windows.length === 0) return { train: [], validation: [], test: [], trainEnd: 0 };
+
+    const start = windows[0].time;
+    const end = windows[windows.length - 1].time;
+    const trainEnd = start + (end - start) * trainFraction;
+    const validationEnd = start + (end - start) * (trainFraction + validationFraction);
+
+    const inputStart = (w) => w.time - (sequenceLength - 1) * HOUR;
+    const targetTime = (w) => w.time + Math.max(...horizons) * HOUR;
+
+    return {
+        train: windows.filter(w => targetTime(w) < trainEnd),
+        validation: windows.filter(w => inputStart(w) >= trainEnd && targetTime(w) < validationEnd),
+        test: windows.filter(w => inputStart(w) >= validationEnd),
+        trainEnd
+    };
+}
+
+// 재현 가능한 난수 (mulberry32)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 무강수 창 일부만 남기기 (학습 구간 전용)
+export function downsampleDry(windows, dryRatio, seed = DEFAULT_OPTIONS.seed) {
+    const random = createRandom(seed);
+    return windows.filter(w => !w.dry || random() < dryRatio);
+}
+
+// =====================================
+// 학습 / 평가 / 내보내기
+// =====================================
+
+function toTensors(tf, windows, normalization) {
+    return {
+        xs: toInputTensor(tf, windows, normalization),
+        ys: tf.tensor2d(windows.map(w => scaleLabels(w.labels, normalization)))
+    };
+}
+
+function toInputTensor(tf, windows, normalization) {
+    return tf.tensor3d(windows.map(w => w.sequence.map(o => normalizeRecord(o, normalization))));
+}
+
+// 선행시간별 점수 { 1: {count, mae, rmse, bias, categorical}, 3: ... } - predictions[i][k] 는 windows[i] 의 k번째 선행시간
+function scoreByHorizon(windows, predictions, horizons = FORECAST_HORIZONS) {
+    const scores = {};
+    horizons.forEach((h, k) => {
+        const indices = windows.map((w, i) => i).filter(i => windows[i].labels[k] !== null);
+        scores[h] = verifyForecasts(
+            indices.map(i => predictions[i][k]),
+            indices.map(i => windows[i].labels[k]),
+            ALERT_THRESHOLDS
+        );
+    });
+    return scores;
+}
+
+// 중앙값 점수 + 80% 예측구간(0.1~0.9 분위수)에 관측이 들어간 비율 (잘 보정되면 0.8 근처)
+async function evaluate(tf, model, windows, normalization) {
+    if (windows.length === 0) return null;
+
+    const xs = toInputTensor(tf, windows, normalization);
+    const output = model.predict(xs);
+    const forecasts = (await output.array()).map(row => outputToQuantiles(row, normalization).map(f => summarizeQuantiles(f.values)));
+    xs.dispose();
+    output.dispose();
+
+    const scores = scoreByHorizon(windows, forecasts.map(row => row.map(f => f.median)));
+    FORECAST_HORIZONS.forEach((h, k) => {
+        if (!scores[h]) return;
+        const hits = windows.filter((w, i) => (
+            w.labels[k] !== null && w.labels[k] >= forecasts[i][k].lower80 && w.labels[k] <= forecasts[i][k].upper80
+        )).length;
+        scores[h].coverage80 = Math.round((hits / scores[h].count) * 1000) / 1000;
+    });
+    return scores;
+}
+
+// tf.io 모델 산출물 → model.json + weights.bin
+export async function writeModelFiles(tf, model, outDir) {
+    let artifacts = null;
+    await model.save(tf.io.withSaveHandler(async (modelArtifacts) => {
+        artifacts = modelArtifacts;
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+
+    const weightData = Array.isArray(artifacts.weightData)
+        ? tf.io.CompositeArrayBuffer.join(artifacts.weightData)
+        : artifacts.weightData;
+
+    const modelJSON = {
+        modelTopology: artifacts.modelTopology,
+        format: artifacts.format,
+        generatedBy: artifacts.generatedBy,
+        convertedBy: artifacts.convertedBy,
+        weightsManifest: [{ paths: ['./weights.bin'], weights: artifacts.weightSpecs }],
+        userDefinedMetadata: artifacts.userDefinedMetadata
+    };
+
+    await mkdir(outDir, { recursive: true });
+    await writeFile(path.join(outDir, 'model.json'), JSON.stringify(modelJSON));
+    await writeFile(path.join(outDir, 'weights.bin'), Buffer.from(weightData));
+}
+
+// tfjs-node 가 설치돼 있으면 사용 (수십 배 빠름), 없으면 순수 JS 백엔드
+async function loadTensorFlow() {
+    try {
+        return await import('@tensorflow/tfjs-node');
+    } catch (error) {
+        console.log('ℹ️ @tensorflow/tfjs-node 없음 - 순수 JS 백엔드로 학습 (느림)');
+        return import('@tensorflow/tfjs');
+    }
+}
+
+export async function trainPredictor(inputs, options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+
+    // 1) CSV 읽기
+    const files = await collectCSVFiles(inputs);
+    if (files.length === 0) throw new Error('학습할 ASOS CSV 파일이 없습니다');
+
+    // 여러 해 × 여러 지점이면 수십만 행 - 전개 연산자(push(...)/Math.min(...))는 호출 스택 한도를 넘으므로 쓰지 않음
+    let records = [];
+    for (const file of files) {
+        const parsed = parseAsosCSV(decodeCSV(await readFile(file)));
+        console.log(`📄 ${file}: ${parsed.length}개 시간자료`);
+        records = records.concat(parsed);
+    }
+
+    // 2) 지점별 시계열 + 학습 창
+    const series = buildStationSeries(records, config);
+    if (series.length === 0) throw new Error(`선택한 지점(${config.stations?.join(', ')}) 자료가 없습니다`);
+    series.forEach(s => console.log(`📍 지점 ${s.station} ${s.stationName}: ${s.observations.length}시간`));
+
+    if (config.features.includes('upstreamRainfall')) {
+        const assigned = assignUpstreamRainfall(series);
+        console.log(`🧭 풍상측 ${UPSTREAM_DISTANCE_KM}km 보간 강수량 계산: ${assigned}시간`);
+    }
+
+    const windows = buildWindows(series);
+    const split = splitWindows(windows, config);
+    const train = downsampleDry(split.train, config.dryRatio, config.seed);
+    console.log(`🪟 학습 창 ${windows.length}개 → 학습 ${train.length} (무강수 ${Math.round(config.dryRatio * 100)}% 표본) / 검증 ${split.validation.length} / 시험 ${split.test.length}`);
+
+    if (train.length === 0 || split.validation.length === 0 || split.test.length === 0) {
+        throw new Error('학습/검증/시험 창이 부족합니다 (자료 기간을 늘려 주세요)');
+    }
+
+    // 정규화 통계는 학습 구간 관측으로만 계산 (검증/시험 자료 누설 방지)
+    const trainRecords = series.flatMap(s => s.observations.filter(o => o.time < split.trainEnd));
+    const { missing, ...normalization } = computeNormalization(trainRecords, config.features);
+    if (missing.length > 0) {
+        console.warn(`⚠️ 자료가 없어 제외한 특성: ${missing.join(', ')}`);
+    }
+    console.log(`🔢 입력 특성 ${normalization.features.length}개: ${normalization.features.map(name => FEATURES[name].label).join(', ')}`);
+
+    // 3) 학습
+    const tf = await loadTensorFlow();
+    const model = buildRainfallModel(tf, { sequenceLength: SEQUENCE_LENGTH, featureCount: normalization.features.length });
+
+    const trainSet = toTensors(tf, train, normalization);
+    const validationSet = toTensors(tf, split.validation, normalization);
+
+    await model.fit(trainSet.xs, trainSet.ys, {
+        epochs: config.epochs,
+        batchSize: config.batchSize,
+        shuffle: true,
+        validationData: [validationSet.xs, validationSet.ys],
+        verbose: 0,
+        callbacks: [
+            new tf.CustomCallback({
+                onEpochEnd: (epoch, logs) => {
+                    console.log(`Epoch ${epoch + 1}/${config.epochs}: loss = ${logs.loss.toFixed(5)}, val_loss = ${logs.val_loss.toFixed(5)}`);
+                }
+            }),
+            tf.callbacks.earlyStopping({ monitor: 'val_loss', patience: config.patience })
+        ]
+    });
+
+    [trainSet, validationSet].forEach(({ xs, ys }) => {
+        xs.dispose();
+        ys.dispose();
+    });
+
+    // 4) 평가 (지속성 예보 = 마지막 관측 강수량 유지와 비교)
+    const metrics = {
+        train: await evaluate(tf, model, train, normalization),
+        validation: await evaluate(tf, model, split.validation, normalization),
+        test: await evaluate(tf, model, split.test, normalization),
+        persistence: scoreByHorizon(split.test, split.test.map(w => FORECAST_HORIZONS.map(() => w.lastRainfall)))
+    };
+    FORECAST_HORIZONS.forEach(h => {
+        const test = metrics.test[h];
+        const persistence = metrics.persistence[h];
+        if (!test) return;
+        console.log(`📊 +${h}h 시험 MAE ${test.mae}mm/h, RMSE ${test.rmse}mm/h (지속성 예보 MAE ${persistence.mae}mm/h), 80% 구간 적중률 ${test.coverage80}`);
+        ALERT_THRESHOLDS.forEach(threshold => {
+            const { pod, far, csi } = test.categorical[threshold];
+            console.log(`   ≥${threshold}mm/h POD ${pod ?? '--'}, FAR ${far ?? '--'}, CSI ${csi ?? '--'}`);
+        });
+    });
+
+    // 5) 내보내기 (RainfallPredictor 가 확인하는 메타데이터 포함)
+    const trainedAt = new Date();
+    const stamp = trainedAt.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    const period = records.reduce((range, r) => ({
+        start: Math.min(range.start, r.time),
+        end: Math.max(range.end, r.time)
+    }), { start: Infinity, end: -Infinity });
+
+    model.setUserDefinedMetadata({
+        schemaVersion: MODEL_SCHEMA_VERSION,
+        pretrainedId: `asos-${stamp}`,
+        trainedOn: 'asos',
+        trainedAt: trainedAt.toISOString(),
+        sequenceLength: SEQUENCE_LENGTH,
+        forecastHorizons: FORECAST_HORIZONS,
+        forecastQuantiles: FORECAST_QUANTILES,
+        normalization,
+        stations: series.map(s => ({ id: s.station, name: s.stationName, hours: s.observations.length })),
+        period: {
+            start: new Date(period.start).toISOString(),
+            end: new Date(period.end).toISOString()
+        },
+        windows: { train: train.length, validation: split.validation.length, test: split.test.length },
+        metrics
+    });
+
+    await writeModelFiles(tf, model, config.out);
+    console.log(`💾 모델 저장: ${path.join(config.out, 'model.json')} (asos-${stamp})`);
+
+    model.dispose();
+    return { metrics, pretrainedId: `asos-${stamp}` };
+}
+
+// --key value 형식 인자 파싱 (나머지는 입력 파일/디렉터리)
+export function parseArgs(argv) {
+    const inputs = [];
+    const options = {};
+    const numeric = ['epochs', 'batchSize', 'dryRatio', 'trainFraction', 'validationFraction', 'maxGapHours', 'patience', 'seed'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            inputs.push(arg);
+            continue;
+        }
+
+        const key = arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        const value = argv[++i];
+        if (value === undefined) throw new Error(`${arg} 값이 없습니다`);
+
+        if (key === 'stations' || key === 'features') {
+            options[key] = value.split(',').map(s => s.trim()).filter(Boolean);
+        } else if (numeric.includes(key)) {
+            options[key] = Number(value);
+        } else if (key === 'out') {
+            options.out = value;
+        } else {
+            throw new Error(`알 수 없는 옵션: ${arg}`);
+        }
+    }
+
+    return { inputs, options };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+    try {
+        const { inputs, options } = parseArgs(process.argv.slice(2));
+        if (inputs.length === 0) {
+            console.log('사용법: npm run train:predictor -- <ASOS CSV 파일 또는 디렉터리...> [--stations 289,192] [--epochs 30] [--features rainfall,humidity,...] [--out public/models/rainfall-lstm]');
+            console.log(`입력 특성: ${DEFAULT_FEATURES.join(', ')}`);
+            process.exit(1);
+        }
+        await trainPredictor(inputs, options);
+    } catch (error) {
+        console.error(`❌ 학습 실패: ${error.message}`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,68 @@
+// =====================================
+// 강수 예측 검증 점수
+// =====================================
+// 예측-관측 쌍으로 연속 점수(MAE/RMSE/편향)와 경보 기준 범주 점수(POD/FAR/CSI)를 계산한다.
+// 브라우저(ForecastVerifier)와 Node 학습 명령(predictor/train.js)이 같은 정의를 쓰도록 공유한다.
+
+// 호우 경보 기준 강우강도 (mm/h) - RainfallPredictor 의 HIGH/CRITICAL 단계
+export const ALERT_THRESHOLDS = [30, 50];
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+// MAE/RMSE/편향 (mm/h) - 쌍이 없으면 null
+export function scorePredictions(predicted, observed) {
+    const n = observed.length;
+    if (n === 0) return null;
+
+    let absSum = 0;
+    let sqSum = 0;
+    let biasSum = 0;
+    for (let i = 0; i < n; i++) {
+        const error = predicted[i] - observed[i];
+        absSum += Math.abs(error);
+        sqSum += error * error;
+        biasSum += error;
+    }
+
+    return { count: n, mae: round(absSum / n), rmse: round(Math.sqrt(sqSum / n)), bias: round(biasSum / n) };
+}
+
+// 임계값 이상 여부로 본 분할표 점수
+// POD = 적중 / (적중 + 놓침), FAR = 오경보 / (적중 + 오경보), CSI = 적중 / (적중 + 놓침 + 오경보)
+// 분모가 0이면 null (해당 사례 없음)
+export function contingencyScores(predicted, observed, threshold) {
+    let hits = 0;
+    let misses = 0;
+    let falseAlarms = 0;
+
+    for (let i = 0; i < observed.length; i++) {
+        const forecastYes = predicted[i] >= threshold;
+        const observedYes = observed[i] >= threshold;
+        if (forecastYes && observedYes) hits++;
+        else if (observedYes) misses++;
+        else if (forecastYes) falseAlarms++;
+    }
+
+    const ratio = (numerator, denominator) => (denominator > 0 ? round(numerator / denominator) : null);
+    return {
+        threshold,
+        hits,
+        misses,
+        falseAlarms,
+        pod: ratio(hits, hits + misses),
+        far: ratio(falseAlarms, hits + falseAlarms),
+        csi: ratio(hits, hits + misses + falseAlarms)
+    };
+}
+
+// 연속 점수 + 임계값별 범주 점수
+export function verifyForecasts(predicted, observed, thresholds = []) {
+    const scores = scorePredictions(predicted, observed);
+    if (!scores) return null;
+
+    scores.categorical = {};
+    thresholds.forEach(threshold => {
+        scores.categorical[threshold] = contingencyScores(predicted, observed, threshold);
+    });
+    return scores;
+}
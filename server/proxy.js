@@ -0,0 +1,377 @@
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+// =====================================
+// 기상청/천리안 API 프록시 서버
+// =====================================
+// 브라우저는 /api/* 만 호출하고, 서비스 키는 서버에서만 붙인다.
+//   /api/kma/:operation   → 동네예보 서비스 (getUltraSrtNcst, getUltraSrtFcst, getVilageFcst)
+//   /api/satellite/{rgbImg,chnImg}/latest → 천리안 2A호 위성 영상
+//   /api/radar/hsr        → 레이더 합성 강수 격자 (HSR)
+//   /api/health           → 상태 확인
+// 서비스 키를 붙여 주므로 앱이 쓰는 경로·파라미터만 전달하고, 다른 출처(ALLOWED_ORIGIN 외)의 브라우저 요청은 거부한다.
+//
+// 실행: KMA_API_KEY=... node server/proxy.js
+// 고정 자료: FIXTURE_DIR=server/fixtures node server/proxy.js
+
+const KMA_OPERATIONS = ['getUltraSrtNcst', 'getUltraSrtFcst', 'getVilageFcst'];
+
+// 위성/레이더 경로별 전달할 파라미터 (앱이 요청하는 것만)
+const RESOURCE_PARAMS = {
+    satellite: {
+        'rgbImg/latest': ['area', 'rgb_type', 'date'],
+        'chnImg/latest': ['area', 'channel', 'date']
+    },
+    radar: {
+        hsr: ['time']
+    }
+};
+
+// 기본 허용 출처: Vite 개발 서버
+const DEFAULT_ALLOWED_ORIGINS = ['http://localhost:5173'];
+
+const CONTENT_TYPES = {
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.bin': 'application/octet-stream'
+};
+
+// =====================================
+// 응답 캐시 (발표시각 단위)
+// =====================================
+export class ResponseCache {
+    constructor({ maxEntries = 500 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map(); // key → { status, headers, body, expiresAt }
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) this.entries.delete(key);
+            this.misses++;
+            return null;
+        }
+        this.hits++;
+        return entry;
+    }
+
+    set(key, response, ttlMs) {
+        // 가장 오래된 항목부터 제거 (Map은 삽입 순서 유지)
+        if (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.entries.set(key, { ...response, expiresAt: Date.now() + ttlMs });
+    }
+
+    getStats() {
+        return { entries: this.entries.size, hits: this.hits, misses: this.misses };
+    }
+}
+
+// =====================================
+// 실제 API 호출 (서비스 키 주입)
+// =====================================
+export class UpstreamClient {
+    constructor({
+        kmaApiKey,
+        satelliteApiKey = kmaApiKey,
+        kmaBaseUrl = 'https://apis.data.go.kr/1360000/VilageFcstInfoService_2.0',
+        satelliteBaseUrl = 'https://nmsc.kma.go.kr/enhd/api',
+        radarApiKey = kmaApiKey,
+        radarBaseUrl = null
+    } = {}) {
+        this.kmaApiKey = kmaApiKey;
+        this.satelliteApiKey = satelliteApiKey;
+        this.kmaBaseUrl = kmaBaseUrl;
+        this.satelliteBaseUrl = satelliteBaseUrl;
+        this.radarApiKey = radarApiKey;
+        this.radarBaseUrl = radarBaseUrl;
+    }
+
+    async fetchKMA(operation, query) {
+        const params = new URLSearchParams(query);
+        params.set('serviceKey', this.kmaApiKey);
+        return this.request(`${this.kmaBaseUrl}/${operation}?${params}`);
+    }
+
+    async fetchSatellite(resourcePath, query) {
+        const params = new URLSearchParams(query);
+        params.set('api_key', this.satelliteApiKey);
+        return this.request(`${this.satelliteBaseUrl}/${resourcePath}?${params}`);
+    }
+
+    // 레이더 격자는 JSON 격자 형식(ENV_SETUP.md)을 반환하는 주소를 RADAR_API_URL로 지정
+    async fetchRadar(resourcePath, query) {
+        if (!this.radarBaseUrl) {
+            return {
+                status: 404,
+                headers: { 'Content-Type': CONTENT_TYPES['.json'] },
+                body: Buffer.from(JSON.stringify({ error: 'radar upstream not configured (RADAR_API_URL)' }))
+            };
+        }
+
+        const params = new URLSearchParams(query);
+        params.set('authKey', this.radarApiKey);
+        return this.request(`${this.radarBaseUrl}/${resourcePath}?${params}`);
+    }
+
+    async request(url) {
+        const response = await fetch(url);
+        return {
+            status: response.status,
+            headers: { 'Content-Type': response.headers.get('content-type') || 'application/octet-stream' },
+            body: Buffer.from(await response.arrayBuffer())
+        };
+    }
+}
+
+// =====================================
+// 고정 자료 응답 (테스트/오프라인용)
+// =====================================
+// FIXTURE_DIR 구조:
+//   kma/<operation>/<base_date><base_time>_<nx>_<ny>.json  (지점·시각별)
+//   kma/<operation>.json                                   (기본)
+//   satellite/<경로>                                         (예: satellite/rgbImg/latest.png)
+//   radar/<경로>/<time>.json, radar/<경로>.json              (예: radar/hsr.json)
+export class FixtureClient {
+    constructor(fixtureDir) {
+        this.fixtureDir = path.resolve(fixtureDir);
+    }
+
+    async fetchKMA(operation, query) {
+        const specific = `${query.base_date}${query.base_time}_${query.nx}_${query.ny}.json`;
+        return this.readFirst([
+            path.join('kma', operation, specific),
+            path.join('kma', `${operation}.json`)
+        ]);
+    }
+
+    async fetchSatellite(resourcePath, query) {
+        const candidates = [resourcePath];
+        if (!path.extname(resourcePath)) {
+            // 영상 종류별 파일 (rgb_type 또는 channel 파라미터)
+            const type = query.rgb_type || query.channel;
+            if (type) candidates.push(`${resourcePath}/${type}.png`);
+            candidates.push(`${resourcePath}.png`, `${resourcePath}.json`);
+        }
+        return this.readFirst(candidates.map(candidate => path.join('satellite', candidate)));
+    }
+
+    async fetchRadar(resourcePath, query) {
+        const candidates = [];
+        if (query.time) candidates.push(`${resourcePath}/${query.time}.json`);
+        candidates.push(`${resourcePath}.json`);
+        return this.readFirst(candidates.map(candidate => path.join('radar', candidate)));
+    }
+
+    async readFirst(relativePaths) {
+        for (const relativePath of relativePaths) {
+            const filePath = path.resolve(this.fixtureDir, relativePath);
+            // 디렉터리 밖 접근 차단
+            if (!filePath.startsWith(this.fixtureDir + path.sep)) continue;
+
+            try {
+                const body = await readFile(filePath);
+                const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || CONTENT_TYPES['.bin'];
+                return { status: 200, headers: { 'Content-Type': contentType }, body };
+            } catch (error) {
+                if (error.code !== 'ENOENT' && error.code !== 'EISDIR') throw error;
+            }
+        }
+
+        return {
+            status: 404,
+            headers: { 'Content-Type': CONTENT_TYPES['.json'] },
+            body: Buffer.from(JSON.stringify({ error: 'fixture not found', tried: relativePaths }))
+        };
+    }
+}
+
+// =====================================
+// 요청 처리
+// =====================================
+export class KMAProxy {
+    constructor({
+        client,
+        cache = new ResponseCache(),
+        forecastTTL = 3 * 60 * 60 * 1000,
+        latestTTL = 10 * 60 * 1000,
+        allowedOrigins = DEFAULT_ALLOWED_ORIGINS
+    }) {
+        this.client = client;
+        this.cache = cache;
+        this.allowedOrigins = allowedOrigins; // CORS 허용 출처 (Origin 없는 같은 출처 요청은 항상 허용)
+        this.forecastTTL = forecastTTL; // 발표시각이 지정된 자료는 바뀌지 않음
+        this.latestTTL = latestTTL;     // "최신" 위성 영상 등은 갱신 주기만큼만
+    }
+
+    // 캐시 키: 경로 + 정렬된 파라미터 (서비스 키 제외)
+    cacheKey(route, query) {
+        const params = Object.keys(query)
+            .filter(key => key !== 'serviceKey' && key !== 'api_key')
+            .sort()
+            .map(key => `${key}=${query[key]}`)
+            .join('&');
+        return `${route}?${params}`;
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const query = Object.fromEntries(url.searchParams);
+
+        // 다른 출처 페이지가 서비스 키가 붙는 프록시를 쓰지 못하도록 허용 출처만 CORS 허용
+        const origin = req.headers.origin;
+        if (origin) {
+            if (!this.allowedOrigins.includes(origin)) {
+                this.sendJSON(res, 403, { error: 'origin not allowed' });
+                return;
+            }
+            res.setHeader('Access-Control-Allow-Origin', origin);
+        }
+        res.setHeader('Vary', 'Origin');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, { 'Access-Control-Allow-Methods': 'GET' });
+            res.end();
+            return;
+        }
+
+        if (req.method !== 'GET') {
+            this.sendJSON(res, 405, { error: 'method not allowed' });
+            return;
+        }
+
+        try {
+            if (url.pathname === '/api/health') {
+                this.sendJSON(res, 200, {
+                    status: 'ok',
+                    mode: this.client instanceof FixtureClient ? 'fixture' : 'upstream',
+                    cache: this.cache.getStats()
+                });
+                return;
+            }
+
+            const kmaMatch = url.pathname.match(/^\/api\/kma\/(\w+)$/);
+            if (kmaMatch) {
+                const operation = kmaMatch[1];
+                if (!KMA_OPERATIONS.includes(operation)) {
+                    this.sendJSON(res, 404, { error: `unknown operation: ${operation}` });
+                    return;
+                }
+
+                await this.serveCached(res, this.cacheKey(url.pathname, query),
+                    () => this.client.fetchKMA(operation, query),
+                    (response) => this.isValidKMAResponse(response) ? this.forecastTTL : 0);
+                return;
+            }
+
+            const resourceMatch = url.pathname.match(/^\/api\/(satellite|radar)\/(.+)$/);
+            if (resourceMatch) {
+                const [, kind, resourcePath] = resourceMatch;
+                const allowedParams = RESOURCE_PARAMS[kind][resourcePath];
+                if (!allowedParams) {
+                    this.sendJSON(res, 404, { error: `unknown ${kind} resource: ${resourcePath}` });
+                    return;
+                }
+
+                const resourceQuery = Object.fromEntries(
+                    Object.entries(query).filter(([key]) => allowedParams.includes(key))
+                );
+                const fetchResource = kind === 'radar'
+                    ? () => this.client.fetchRadar(resourcePath, resourceQuery)
+                    : () => this.client.fetchSatellite(resourcePath, resourceQuery);
+                const hasTime = Boolean(resourceQuery.date || resourceQuery.time);
+                await this.serveCached(res, this.cacheKey(url.pathname, resourceQuery), fetchResource,
+                    (response) => response.status === 200 ? (hasTime ? this.forecastTTL : this.latestTTL) : 0);
+                return;
+            }
+
+            this.sendJSON(res, 404, { error: 'not found' });
+        } catch (error) {
+            console.error('❌ 프록시 요청 실패:', req.url, error);
+            this.sendJSON(res, 502, { error: 'upstream request failed' });
+        }
+    }
+
+    // 캐시 조회 → 없으면 원본 요청 후 ttl(response) > 0 일 때만 저장
+    async serveCached(res, key, fetchResponse, ttl) {
+        let response = this.cache.get(key);
+        const cacheStatus = response ? 'HIT' : 'MISS';
+
+        if (!response) {
+            response = await fetchResponse();
+            const ttlMs = ttl(response);
+            if (ttlMs > 0) this.cache.set(key, response, ttlMs);
+        }
+
+        res.writeHead(response.status, { ...response.headers, 'X-Cache': cacheStatus });
+        res.end(response.body);
+    }
+
+    // 자료가 있는 정상 응답만 캐시 (발표 전 빈 응답은 재요청 허용)
+    isValidKMAResponse(response) {
+        if (response.status !== 200) return false;
+        try {
+            const data = JSON.parse(response.body.toString('utf8'));
+            return data.response?.header?.resultCode === '00'
+                && (data.response?.body?.items?.item?.length ?? 0) > 0;
+        } catch {
+            return false;
+        }
+    }
+
+    sendJSON(res, status, body) {
+        res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+        res.end(JSON.stringify(body));
+    }
+}
+
+// 환경변수로 프록시 구성 (FIXTURE_DIR이 있으면 고정 자료 사용)
+export function createProxyFromEnv(env = process.env) {
+    // 쉼표로 여러 출처 지정 가능 (예: https://example.com,http://localhost:5173)
+    const allowedOrigins = env.ALLOWED_ORIGIN
+        ? env.ALLOWED_ORIGIN.split(',').map(origin => origin.trim()).filter(Boolean)
+        : DEFAULT_ALLOWED_ORIGINS;
+
+    if (env.FIXTURE_DIR) {
+        return new KMAProxy({ client: new FixtureClient(env.FIXTURE_DIR), allowedOrigins });
+    }
+
+    if (!env.KMA_API_KEY) {
+        console.warn('⚠️ KMA_API_KEY가 설정되지 않았습니다 - 기상청 API 요청이 거부될 수 있습니다');
+    }
+
+    return new KMAProxy({
+        client: new UpstreamClient({
+            kmaApiKey: env.KMA_API_KEY,
+            satelliteApiKey: env.SATELLITE_API_KEY || env.KMA_API_KEY,
+            kmaBaseUrl: env.KMA_API_URL,
+            satelliteBaseUrl: env.SATELLITE_API_URL,
+            radarApiKey: env.RADAR_API_KEY || env.KMA_API_KEY,
+            radarBaseUrl: env.RADAR_API_URL
+        }),
+        allowedOrigins
+    });
+}
+
+export function startProxyServer(proxy = createProxyFromEnv(), port = Number(process.env.PROXY_PORT) || 8787) {
+    const server = http.createServer((req, res) => proxy.handle(req, res));
+    server.listen(port, () => {
+        const mode = proxy.client instanceof FixtureClient ? `고정 자료 (${proxy.client.fixtureDir})` : '기상청 API';
+        console.log(`🛰️ API 프록시 서버 실행: http://localhost:${port}/api (${mode})`);
+    });
+    return server;
+}
+
+// 직접 실행 시 서버 시작
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+    startProxyServer();
+}
@@ -4,16 +4,20 @@
 
 echo "🚀 Vercel 환경변수 설정 중..."
 
-vercel env add VITE_WEATHER_API_KEY production << EOF
-api-3532dc9c6e964a018cbfe169c2b16ea6
+# 서비스 키는 서버리스 프록시 전용 (VITE_ 접두사 없음 → 번들에 포함되지 않음)
+read -rsp "기상청 API 서비스 키: " KMA_API_KEY
+echo
+
+vercel env add KMA_API_KEY production << EOF
+$KMA_API_KEY
 EOF
 
 vercel env add VITE_NX production << EOF
-89
+76
 EOF
 
 vercel env add VITE_NY production << EOF
-90
+80
 EOF
 
 echo "✅ 환경변수 설정 완료!"
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vite';
+
+// 개발 서버: /api 요청을 로컬 프록시 서버(server/proxy.js)로 전달
+export default defineConfig({
+    server: {
+        proxy: {
+            '/api': `http://localhost:${process.env.PROXY_PORT || 8787}`
+        }
+    }
+});